@@ -153,6 +153,31 @@ function verifyPassword(password, storedHash) {
   }
 }
 
+/**
+ * Check a password against the server credentials (conf/passwd.json)
+ * 
+ * Boards remember the id of the credential they were created with, so that
+ * its holder can list them. The id is derived from the stored hash and stays
+ * the same as long as the credential is not replaced.
+ * 
+ * Each check is charged to the address of the client being handled (see
+ * rate limiting below); without checks left it fails.
+ * 
+ * @param {string} password - The password to check
+ * @returns {string|null} Id of the matching credential, null if none matches
+ */
+function serverCredentialId(password) {
+  if (!mayCheckPassword()) {
+    return null;
+  }
+  const storedHash = credentials.find(storedHash => verifyPassword(password, storedHash));
+  passwordChecked(!!storedHash);
+  if (!storedHash) {
+    return null;
+  }
+  return crypto.createHash('sha256').update(storedHash).digest('hex').slice(0, 32);
+}
+
 // Dual-mode configuration: proxy vs direct
 const WHITEBOARD_URL = process.env.KUBUX_WHITEBOARD_URL;
 let serverPort = 80; // Default for proxy mode
@@ -184,8 +209,10 @@ const {
     recent_snapshots,
     hashAny, 
     hashNext, 
+    hashChain,
     isUuid,
     isEqual,
+    hasRole,
     serialize, 
     deserialize,
     createEmptyVisualState, 
@@ -195,6 +222,14 @@ const {
     commitGroup, 
     MESSAGES, 
     MOD_ACTIONS, 
+    BOARD_ARCHIVE,
+    BOARD_META,
+    BOOKMARK,
+    AUTHOR,
+    ROLE,
+    ACCESS_TOKEN,
+    PARTICIPANT,
+    VIEW,
     NULL_UUID,
     ELEMENT, 
     POINT,
@@ -206,9 +241,36 @@ const {
     is_invalid_REPLAY_REQUEST_message,
     is_invalid_MOD_ACTION_PROPOSALS_message,
     is_invalid_BOARD_INFO_REQUEST_message,
-    is_invalid_SHUFFLE_PROPOSAL_message
+    is_invalid_SHUFFLE_PROPOSAL_message,
+    is_invalid_EXPORT_BOARD_message,
+    is_invalid_IMPORT_BOARD_message,
+    is_invalid_UPDATE_BOARD_META_message,
+    is_invalid_LIST_BOARDS_message,
+    is_invalid_LIST_TEMPLATES_message,
+    is_invalid_ARCHIVE_BOARD_message,
+    is_invalid_DELETE_BOARD_message,
+    is_invalid_TRANSFER_PAGES_message,
+    is_invalid_BOOKMARKS_REQUEST_message,
+    is_invalid_SET_BOOKMARK_message,
+    is_invalid_ATTRIBUTION_REQUEST_message,
+    is_invalid_TOKENS_REQUEST_message,
+    is_invalid_CREATE_TOKEN_message,
+    is_invalid_REVOKE_TOKEN_message,
+    is_invalid_ROTATE_PASSWORD_message,
+    is_invalid_PRESENCE_message,
+    is_invalid_CURSOR_message,
+    is_invalid_PRESENT_message,
+    is_invalid_VIEW_message,
+    is_invalid_LASER_message,
+    is_invalid_STROKE_PROGRESS_message,
+    is_invalid_board_meta,
+    is_invalid_action_payload,
+    is_invalid_stroke,
+    count_group_actions
 } = require('./shared');
 
+const { createStorage } = require('./storage');
+
 
 // Data storage configuration
 const DATA_DIR = './data';
@@ -219,18 +281,72 @@ if (!fs.existsSync(DATA_DIR)) {
     debug.log(`[SERVER] Created data directory: ${DATA_DIR}`);
 }
 
+// Storage backend: 'files' (default, one file per board/page) or 'sqlite'
+const STORAGE_BACKEND = process.env.KUBUX_WHITEBOARD_STORAGE || 'files';
+let storage;
+try {
+    storage = createStorage(STORAGE_BACKEND, DATA_DIR, debug);
+    debug.log(`[SERVER] Using storage backend: ${storage.name}`);
+} catch (err) {
+    debug.error(`[SERVER] Cannot open storage backend '${STORAGE_BACKEND}': ${err.message}`);
+    process.exit(1);
+}
+
+// non-negative numeric settings from the environment
+function envNumber(name, fallback) {
+    const value = process.env[name];
+    if (value === undefined || value === '') {
+        return fallback;
+    }
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+        debug.error(`[SERVER] Invalid ${name}: ${value}`);
+        process.exit(1);
+    }
+    return number;
+}
+
+// the same for settings that count things
+function envInteger(name, fallback) {
+    const number = envNumber(name, fallback);
+    if (!Number.isInteger(number)) {
+        debug.error(`[SERVER] Invalid ${name}: ${process.env[name]}, expected a whole number`);
+        process.exit(1);
+    }
+    return number;
+}
+
+// History compaction: number of actions before the present that stay
+// replayable when a page is checkpointed; older ones are folded (0 = never)
+const HISTORY_KEEP = envInteger('KUBUX_WHITEBOARD_HISTORY_KEEP', 0);
+
+// Resource quotas (0 = no limit). Each has a decline reason of its own.
+// Strokes and groups beyond the bounds in shared.js are dropped as malformed,
+// whatever is configured here.
+const QUOTA_STROKE_POINTS = envNumber('KUBUX_WHITEBOARD_QUOTA_STROKE_POINTS', 10000); // points in a stroke
+const QUOTA_GROUP_ACTIONS = envNumber('KUBUX_WHITEBOARD_QUOTA_GROUP_ACTIONS', 10000); // actions in a group, nested ones included
+const QUOTA_PAGE_HISTORY = envNumber('KUBUX_WHITEBOARD_QUOTA_PAGE_HISTORY', 20000); // actions in the history of a page
+const QUOTA_BOARD_PAGES = envNumber('KUBUX_WHITEBOARD_QUOTA_BOARD_PAGES', 500); // pages on a board
+const QUOTA_BOARDS = envNumber('KUBUX_WHITEBOARD_QUOTA_BOARDS', 1000); // boards per server credential
+
+function overQuota(count, quota) {
+    return quota > 0 && count > quota;
+}
+
 // Path helpers
 const getPasswdFilePath = () => path.join(CONF_DIR, 'passwd.json');
-const getRemovalLogPath = () => path.join(DATA_DIR, 'to_be_removed.json');
 const getFilePath = (uuid,ext) => path.join(DATA_DIR, `${uuid}.${ext}`);
 
 
 // Server state structures
 const credentials = [];
 const deletionMap = {};
+const deletionTimes = {}; // deleted page -> time of its deletion, for garbage collection
 const clients = {}; // Map client IDs to WebSocket instances
 const pingInterval = 5000;
 const boardInterval = 5000;
+const cursorInterval = 50; // least time in ms between two relayed pointer positions of a client
+const presentations = {}; // board id -> { ws, view } of the board's presenter, if any
 let pingTimer;
 let boardTimer;
 
@@ -242,18 +358,31 @@ function initializeGlobals() {
         Object.assign(credentials, parsed);
         debug.log(`[SERVER] Loaded ${credentials.length} passwords`);
     }
-    const removalLogPath = getRemovalLogPath();
-    if (fs.existsSync(removalLogPath)) {
-        const itemText = fs.readFileSync(removalLogPath, 'utf8');
-        const parsedMap = JSON.parse(itemText);
-        Object.assign(deletionMap, parsedMap);
-        debug.log(`[SERVER] Loaded ${Object.keys(deletionMap).length} deletion mappings`);
+    Object.assign(deletionMap, storage.loadDeletionMap());
+    Object.assign(deletionTimes, storage.loadDeletionTimes());
+    debug.log(`[SERVER] Loaded ${Object.keys(deletionMap).length} deletion mappings`);
+    // mappings from before deletions were timed start their retention now
+    for (const pageId of Object.keys(deletionMap)) {
+        if (!(pageId in deletionTimes)) {
+            deletionTimes[pageId] = Date.now();
+            deletionMapDirty = true;
+        }
     }
 }
 
+let deletionMapDirty = false;
+
 function persistDeletionMap() {
-    const removalLogPath = getRemovalLogPath();
-    fs.writeFileSync(removalLogPath, JSON.stringify(deletionMap, null, 2), 'utf8');
+    if (deletionMapDirty) {
+        storage.saveDeletionMap(deletionMap, deletionTimes);
+        deletionMapDirty = false;
+    }
+}
+
+function recordDeletion(pageId, replacementId) {
+    deletionMap[pageId] = replacementId;
+    deletionTimes[pageId] = Date.now();
+    deletionMapDirty = true;
 }
 
 initializeGlobals();
@@ -262,53 +391,184 @@ initializeGlobals();
 // helper functions for persistent storage and caching
 // ===================================================
 
-function loadItem(itemId, ext, check) {
+function loadItem(itemId, kind, check) {
     if ( ! check( itemId ) ) { 
         debug.log( `Invalid itemId: ${itemId}` );
         return null; 
     }
-    const filePath = getFilePath(itemId, ext);
-    if (fs.existsSync(filePath)) {
-        const fileText = fs.readFileSync(filePath, 'utf8');
-        if (fileText) {
-            const item = deserialize(fileText);
-            if (item) { return item; }
-        }
-    }
-    debug.log(`[SERVER] Error loading ${ext} from disk: ${itemId}`);
-    return null;
+    return storage.loadItem(kind, itemId);
 }
 
-function saveItem(itemId, item, ext, check) {
+function saveItem(itemId, item, kind, check) {
     if ( ! check( itemId ) ) { 
         debug.log( `Invalid itemId: ${itemId}` );
         return; 
     }
-    const filePath = getFilePath(itemId, ext);
-    const fileText = serialize(item);
-    fs.writeFileSync(filePath, fileText, 'utf8');
+    storage.saveItem(kind, itemId, item);
 }
 
 
-const loadBoard = (boardId) => loadItem(boardId, 'board', isUuid);
 const loadPage = (pageId) => loadItem(pageId, 'page', isUuid);
-const saveBoard = (boardId, board) => saveItem(boardId, board, 'board', isUuid);
 const savePage = (pageId, page) => saveItem(pageId, page, 'page', isUuid);
+const loadRemovedBoard = (boardId) => loadItem(boardId, 'removed', isUuid);
+
+function saveBoard(boardId, board) {
+    saveItem(boardId, board, 'board', isUuid);
+    indexBoard(boardId, board);
+}
+
+// plain passwords of older boards are hashed the first time they are loaded
+function loadBoard(boardId) {
+    const board = loadItem(boardId, 'board', isUuid);
+    if ( board && hashBoardPasswords( board ) ) {
+        saveBoard(boardId, board);
+    }
+    return board;
+}
+
+
+// boards created before they had metadata lack some or all of it
+function boardMeta(board) {
+    return {
+        [BOARD_META.TITLE]: '',
+        [BOARD_META.DESCRIPTION]: '',
+        [BOARD_META.CREATOR]: '',
+        [BOARD_META.CREATED]: null,
+        [BOARD_META.MODIFIED]: null,
+        [BOARD_META.ARCHIVED]: null,
+        [BOARD_META.TEMPLATE]: false,
+        ...board.meta
+    };
+}
+
+// archived boards can be viewed and exported, but not changed
+function isArchived(board) {
+    return !!boardMeta(board)[BOARD_META.ARCHIVED];
+}
+
+// The board password makes an owner. Access tokens are kept with the board as
+// { id, label, role, created, key, passwdHash }; boards from before tokens
+// have none.
+function boardTokens(board) {
+    return board.tokens || [];
+}
+
+// Board and token passwords are stored as scrypt hashes. A token's password
+// starts with its key and a dash, so checking it costs one hash, not one per
+// token. Tokens issued before keys existed have neither.
+const PASSWORD_CACHE_SIZE = 1000;
+const passwordCache = new Map(); // fast hash of stored hash and password -> verified
+
+// Every proposal is authorized, and scrypt is far too slow for that. Outcomes
+// are remembered under the stored hash, so a new board password or a revoked
+// token never matches from the cache.
+function verifyBoardPassword(password, storedHash) {
+    const key = crypto.createHash('sha256').update(storedHash).update('\0').update(password).digest('hex');
+    if ( passwordCache.has( key ) ) {
+        return passwordCache.get( key );
+    }
+    if ( !mayCheckPassword() ) {
+        return false;
+    }
+    const verified = verifyPassword( password, storedHash );
+    passwordChecked( verified );
+    if ( passwordCache.size >= PASSWORD_CACHE_SIZE ) {
+        passwordCache.delete( passwordCache.keys().next().value );
+    }
+    passwordCache.set( key, verified );
+    return verified;
+}
+
+// boards and archives from before hashed storage hold plain passwords; true
+// if any were replaced by hashes
+// Tokens issued before keys existed have passwords without a dash. Their
+// key is derived from the password instead, two hex digits of its sha256:
+// enough to pick the token out without trying each, too little to tell
+// anything about the password.
+function legacyTokenKey(password) {
+    return crypto.createHash('sha256').update(password).digest('hex').slice(0, 2);
+}
+
+function hashBoardPasswords(board) {
+    let changed = false;
+    for ( const holder of [ board, ...boardTokens( board ) ] ) {
+        if ( typeof holder.passwd === 'string' ) {
+            if ( holder !== board && holder.key === undefined ) {
+                holder.key = legacyTokenKey( holder.passwd );
+            }
+            holder.passwdHash = hashPassword( holder.passwd );
+            delete holder.passwd;
+            changed = true;
+        }
+    }
+    return changed;
+}
+
+// the stored hash a password matches on a board, the board's own or one of
+// its tokens', or null
+function passwordGrant(board, password) {
+    if ( !password || typeof password !== 'string' ) {
+        return null;
+    }
+    const dash = password.indexOf( '-' );
+    if ( dash === -1 && board.passwdHash && verifyBoardPassword( password, board.passwdHash ) ) {
+        return board.passwdHash;
+    }
+    const key = dash === -1 ? legacyTokenKey( password ) : password.slice( 0, dash );
+    const token = boardTokens( board ).find( token => token.key === key
+                                             && verifyBoardPassword( password, token.passwdHash ) );
+    return token ? token.passwdHash : null;
+}
+
+// the role a matched hash gives on a board; none once the password is
+// rotated or the token revoked. Hashes are salted, so no two are alike.
+function grantedRole(board, grant) {
+    if ( !grant ) {
+        return ROLE.VIEWER;
+    }
+    if ( grant === board.passwdHash ) {
+        return ROLE.OWNER;
+    }
+    const token = boardTokens( board ).find( token => token.passwdHash === grant );
+    return token ? token[ACCESS_TOKEN.ROLE] : ROLE.VIEWER;
+}
+
+// the role a password gives on a board
+function boardRole(board, password) {
+    return grantedRole( board, passwordGrant( board, password ) );
+}
 
+function mayAct(board, password, role) {
+    return hasRole( boardRole( board, password ), role );
+}
 
-function createBoard(boardId) {
+// a board with one empty page, or a clone of what the template board shows
+function createBoard(boardId, creator = '', owner = null, template = null, password = generatePasswd()) {
     if ( ! isUuid( boardId ) ) { 
         debug.log( `refuse to create a board with ID ${boardId}.` );
         return null; 
     }
-    debug.log(`[SERVER] Create a standard board.`);
-    const pageId = generateSecureUuid();
-    const password = generatePasswd();
+    debug.log(`[SERVER] Create a ${template ? 'cloned' : 'standard'} board.`);
+    const now = Date.now();
     const board = {
-        passwd: password,
-        pageOrder: [pageId]
+        passwdHash: hashPassword(password),
+        pageOrder: null,
+        owner: owner, // id of the server credential the board was created with
+        meta: {
+            ...boardMeta({}),
+            [BOARD_META.CREATOR]: creator,
+            [BOARD_META.CREATED]: now,
+            [BOARD_META.MODIFIED]: now
+        }
     };
-    saveBoard(boardId, board);
+    if ( template ) {
+        board.meta[BOARD_META.TITLE] = boardMeta(template)[BOARD_META.TITLE];
+        board.meta[BOARD_META.DESCRIPTION] = boardMeta(template)[BOARD_META.DESCRIPTION];
+    }
+    storage.transaction( () => {
+        board.pageOrder = template ? copyPages(template.pageOrder) : [generateSecureUuid()];
+        saveBoard(boardId, board);
+    });
     return board;
 }
 
@@ -322,25 +582,16 @@ function createPage(pageId) {
         history: [], // array of edit-ops
         present: 0, // int
         state: { visible: new Set() },
-        hashes: [hashAny(pageId)]
+        hashes: [hashAny(pageId)],
+        journalSeq: 0 // last journal record contained in this page
     };
     savePage(pageId, page);
     return (page);
 }
 
-function loadOrCreateBoard(boardId, create=true) {
-    let board = loadBoard(boardId);
-    if (board) { return board; }
-    if ( create ) {
-        return createBoard(boardId);
-    } else {
-        return null;
-    }
-}
-
 function loadOrCreatePage(pageId, create=true) {
     let page = loadPage(pageId);
-    if (page) { return page; }
+    if (page) { return replayJournal(pageId, page); }
     if ( create ) {
         return createPage(pageId);
     } else {
@@ -349,90 +600,341 @@ function loadOrCreatePage(pageId, create=true) {
 }
 
 
-// page cache
-const pageCache = new Map();
-const pageCacheMax = 24;
-const evictablePages = new Set();
+// caches
+// ------
+//
+// Boards and pages in use are kept in memory. Every use must be matched by a
+// release; an entry stays pinned while any use is outstanding. Unpinned
+// entries are evicted, least recently released first, as soon as the cache
+// exceeds its byte budget. An entry's size is its serialized size when it was
+// loaded, adjusted as it changes.
+
+function createCache(name, budget, writeBack) {
+    const items = new Map();
+    const sizes = new Map();
+    const pins = new Map(); // id -> number of uses not yet released
+    const evictable = new Set(); // unpinned ids, least recently released first
+    const counters = { hits: 0, misses: 0, evictions: 0 };
+    let bytes = 0;
+
+    function setSize(id, size) {
+        bytes += size - (sizes.get(id) || 0);
+        sizes.set(id, size);
+    }
 
-function usePage(pageId, create=true) {
-    if (!pageCache.has(pageId)) {
-        const page = loadOrCreatePage(pageId, create);
-        if ( page ) {
-            pageCache.set(pageId, page );
+    function remove(id) {
+        bytes -= sizes.get(id) || 0;
+        items.delete(id);
+        sizes.delete(id);
+        pins.delete(id);
+        evictable.delete(id);
+    }
+
+    function shrink() {
+        for (const id of evictable) {
+            if (bytes <= budget) {
+                break;
+            }
+            writeBack(id);
+            remove(id);
+            counters.evictions += 1;
+        }
+    }
+
+    function use(id, load) {
+        if (items.has(id)) {
+            counters.hits += 1;
+        } else {
+            counters.misses += 1;
+            const item = load();
+            if (!item) {
+                return item;
+            }
+            items.set(id, item);
+            setSize(id, serialize(item, 0).length);
+        }
+        evictable.delete(id);
+        pins.set(id, (pins.get(id) || 0) + 1);
+        shrink();
+        return items.get(id);
+    }
+
+    function release(id) {
+        const count = pins.get(id);
+        if (!count) {
+            return; // not cached, or not in use
+        }
+        if (count > 1) {
+            pins.set(id, count - 1);
+            return;
         }
+        pins.delete(id);
+        evictable.add(id);
+        shrink();
+    }
+
+    // drop an entry that is not in use; false if it is
+    function forget(id) {
+        if (pins.has(id)) {
+            return false;
+        }
+        remove(id);
+        return true;
     }
-    if (evictablePages.has(pageId)) {
-        evictablePages.delete(pageId);
+
+    return {
+        use,
+        release,
+        forget,
+        peek: (id) => items.get(id),
+        keys: () => items.keys(),
+        resize: (id) => { if (items.has(id)) { setSize(id, serialize(items.get(id), 0).length); } },
+        grow: (id, delta) => { if (items.has(id)) { setSize(id, sizes.get(id) + delta); } },
+        stats: () => ({ name, entries: items.size, pinned: pins.size, bytes, budget, ...counters })
+    };
+}
+
+const MEGABYTE = 1024 * 1024;
+const PAGE_CACHE_BYTES = envNumber('KUBUX_WHITEBOARD_PAGE_CACHE_MB', 64) * MEGABYTE;
+const BOARD_CACHE_BYTES = envNumber('KUBUX_WHITEBOARD_BOARD_CACHE_MB', 4) * MEGABYTE;
+const CACHE_STATS_MINUTES = envNumber('KUBUX_WHITEBOARD_CACHE_STATS_MINUTES', 60); // 0 = never log
+
+function logCacheStats() {
+    for (const cache of [pageCache, boardCache]) {
+        const stats = cache.stats();
+        debug.error(`[CACHE] ${stats.name}: ${stats.entries} entries (${stats.pinned} pinned), ` +
+                    `${(stats.bytes / MEGABYTE).toFixed(1)} of ${(stats.budget / MEGABYTE).toFixed(1)} MB, ` +
+                    `${stats.hits} hits, ${stats.misses} misses, ${stats.evictions} evictions`);
+    }
+}
+
+
+// page cache
+const pageCache = createCache('pages', PAGE_CACHE_BYTES, (pageId) => {
+    if (dirtyPages.has(pageId)) {
+        persistPage(pageId);
     }
-    return pageCache.get(pageId);
+    debug.log(`[SERVER]: evicting page ${pageId}`);
+});
+const dirtyPages = new Set(); // cached pages with journal records not yet in a checkpoint
+const journalLengths = new Map(); // pageId -> number of journal records since the checkpoint
+const journalCheckpointInterval = 1000;
+
+function usePage(pageId, create=true) {
+    return pageCache.use(pageId, () => loadOrCreatePage(pageId, create));
 }
 
+// checkpoint: save the whole page and drop its journal
 function persistPage(pageId) {
-    savePage(pageId, usePage(pageId));
+    const page = pageCache.peek(pageId);
+    if (page) {
+        compactPage(pageId, page);
+        pageCache.resize(pageId); // sizes drift as actions come in
+        storage.transaction( () => {
+            savePage(pageId, page);
+            storage.clearJournal(pageId);
+        });
+    }
+    dirtyPages.delete(pageId);
+    journalLengths.delete(pageId);
 }
 
-function persistAllPages() {
-    for (const [uuid, page] of pageCache) {
-        savePage(uuid, page);
+// record an accepted action; the page is only rewritten every so often
+function journalAction(pageId, page, action, author = null) {
+    page.journalSeq = (page.journalSeq || 0) + 1;
+    storage.appendJournal(pageId, { seq: page.journalSeq, action: action, author: author });
+    pageCache.grow(pageId, serialize(action, 0).length);
+    const length = (journalLengths.get(pageId) || 0) + 1;
+    journalLengths.set(pageId, length);
+    dirtyPages.add(pageId);
+    if (length >= journalCheckpointInterval) {
+        persistPage(pageId);
     }
 }
 
-function releasePage(pageId) {
-    if (evictablePages.has(pageId)) {
-        evictablePages.delete(pageId);
+function applyAction(page, action, author = null) {
+    switch (action.type) {
+    case MOD_ACTIONS.UNDO.TYPE:
+        return handleUndoAction(page, action);
+    case MOD_ACTIONS.REDO.TYPE:
+        return handleRedoAction(page, action);
+    default:
+        return handleEditAction(page, action, author);
     }
-    evictablePages.add(pageId);
-    for (const Id of [...evictablePages]) {
-        if (pageCache.size > pageCacheMax) {
-            persistPage(Id);
-            pageCache.delete(Id);
-            evictablePages.delete(Id);
-            debug.log(`[SERVER]: evicting page ${Id}`);
+}
+
+// bring a freshly loaded checkpoint up to date
+function replayJournal(pageId, page) {
+    page.journalSeq = page.journalSeq || 0;
+    let replayed = 0;
+    for (const record of storage.loadJournal(pageId)) {
+        if (record.seq <= page.journalSeq) {
+            continue; // already contained in the checkpoint
         }
+        if (record.seq !== page.journalSeq + 1 || !applyAction(page, record.action, record.author || null)) {
+            debug.error(`[SERVER] Journal of page ${pageId} breaks at record ${record.seq}, dropping the rest`);
+            storage.transaction( () => {
+                savePage(pageId, page);
+                storage.clearJournal(pageId);
+            });
+            return page;
+        }
+        page.journalSeq = record.seq;
+        replayed += 1;
     }
+    if (replayed > 0) {
+        debug.log(`[SERVER] Replayed ${replayed} journal records of page ${pageId}`);
+        journalLengths.set(pageId, replayed);
+        dirtyPages.add(pageId);
+    }
+    return page;
 }
 
-// board cache
-const boardCache = new Map();
-const boardCacheMax = 10;
-const evictableBoards = new Set();
-
-function useBoard(boardId, create = true) {
-    if (evictableBoards.has(boardId)) {
-        evictableBoards.delete(boardId);
+function persistAllPages() {
+    for (const uuid of [...dirtyPages]) {
+        persistPage(uuid);
     }
-    if (boardCache.has(boardId)) {
-        return boardCache.get(boardId);
+}
+
+function releasePage(pageId) {
+    pageCache.release(pageId);
+}
+
+// board cache
+const boardCache = createCache('boards', BOARD_CACHE_BYTES, (boardId) => {
+    if (dirtyBoards.has(boardId)) {
+        persistBoard(boardId);
     }
-    const board = loadOrCreateBoard(boardId, create);
+});
+const dirtyBoards = new Set(); // cached boards that changed since they were last saved
+
+// boards are only ever created by createBoard and importBoard
+function useBoard(boardId) {
+    return boardCache.use(boardId, () => loadBoard(boardId));
+}
+
+function markBoardDirty(boardId) {
+    dirtyBoards.add(boardId);
+    boardCache.resize(boardId);
+    const board = boardCache.peek(boardId);
     if (board) {
-        boardCache.set(boardId, board);
+        indexBoard(boardId, board);
     }
-    return board;
+}
+
+// record a change to the board or one of its pages
+function touchBoard(boardId, board) {
+    board.meta = { ...boardMeta(board), [BOARD_META.MODIFIED]: Date.now() };
+    markBoardDirty(boardId);
 }
 
 function persistBoard(boardId) {
-    saveBoard(boardId, useBoard(boardId));
+    const board = boardCache.peek(boardId);
+    if (board) {
+        saveBoard(boardId, board);
+        boardCache.resize(boardId);
+    }
+    dirtyBoards.delete(boardId);
 }
 
 function persistAllBoards() {
-    for (const [uuid, board] of boardCache) {
-        saveBoard(uuid, board);
+    for (const uuid of [...dirtyBoards]) {
+        persistBoard(uuid);
     }
 }
 
 function releaseBoard(boardId) {
-    if (evictableBoards.has(boardId)) {
-        evictableBoards.delete(boardId);
+    boardCache.release(boardId);
+}
+
+
+// board index
+// -----------
+//
+// Who created each board, whether it is a template, and which pages it
+// shows. The index is read from storage once at startup and follows every
+// board that is saved or changed in the cache, so that no request has to
+// load all boards to learn these.
+
+const boardIndex = new Map(); // boardId -> { owner, template, pageOrder }
+const ownerBoards = new Map(); // server credential id -> Set of boardIds
+const pageBoards = new Map(); // pageId -> Set of the boardIds showing it
+const unreadableBoards = new Set(); // stored boards the index knows nothing about
+
+function addReference(references, key, boardId) {
+    if (!references.has(key)) {
+        references.set(key, new Set());
+    }
+    references.get(key).add(boardId);
+}
+
+function dropReference(references, key, boardId) {
+    const boardIds = references.get(key);
+    if (boardIds) {
+        boardIds.delete(boardId);
+        if (boardIds.size === 0) {
+            references.delete(key);
+        }
+    }
+}
+
+function unindexBoard(boardId) {
+    const entry = boardIndex.get(boardId);
+    if (!entry) {
+        return;
+    }
+    boardIndex.delete(boardId);
+    if (entry.owner) {
+        dropReference(ownerBoards, entry.owner, boardId);
+    }
+    for (const pageId of entry.pageOrder) {
+        dropReference(pageBoards, pageId, boardId);
     }
-    evictableBoards.add(boardId);
-    for (const Id of [...evictableBoards]) {
-        if (boardCache.size > boardCacheMax) {
-            persistBoard(Id);
-            boardCache.delete(Id);
-            evictableBoards.delete(Id);
+}
+
+function indexBoard(boardId, board) {
+    unreadableBoards.delete(boardId);
+    const owner = board.owner || null;
+    const template = boardMeta(board)[BOARD_META.TEMPLATE];
+    const entry = boardIndex.get(boardId);
+    if (entry && entry.owner === owner && entry.template === template && isEqual(entry.pageOrder, board.pageOrder)) {
+        return;
+    }
+    unindexBoard(boardId);
+    boardIndex.set(boardId, { owner, template, pageOrder: [...board.pageOrder] });
+    if (owner) {
+        addReference(ownerBoards, owner, boardId);
+    }
+    for (const pageId of board.pageOrder) {
+        addReference(pageBoards, pageId, boardId);
+    }
+}
+
+function buildBoardIndex() {
+    for (const item of storage.listItems('board')) {
+        if (!isUuid(item.id)) {
+            continue;
+        }
+        const board = loadBoard(item.id);
+        if (board) {
+            indexBoard(item.id, board);
+        } else {
+            unreadableBoards.add(item.id);
         }
     }
+    debug.log(`[SERVER] Indexed ${boardIndex.size} boards`);
+}
+
+buildBoardIndex();
+
+function templateBoardIds() {
+    return [...boardIndex].filter( ([, entry]) => entry.template ).map( ([boardId]) => boardId );
+}
+
+// whether a board (other than the given one) shows the page
+function isLivePage(pageId, exceptBoardId = null) {
+    const boardIds = pageBoards.get(pageId);
+    return !!boardIds && (boardIds.size > 1 || !boardIds.has(exceptBoardId));
 }
 
 
@@ -441,10 +943,111 @@ function releaseBoard(boardId) {
 
 function getPage(boardId, pageId) {
     const board = useBoard(boardId);
-    assert(board.pageOrder.includes(pageId));
+    assert(board && board.pageOrder.includes(pageId));
     return usePage(pageId);
 }
 
+// the elements a page shows right now, as [uuid, element] pairs
+function visibleElements(page) {
+    const state = compileVisualState(page.history.slice(0, page.present));
+    if (!state) {
+        return [];
+    }
+    return [...state.element].filter(([uuid]) => state.visible.has(uuid));
+}
+
+// A group that takes the page from its current state back to the state after
+// history[0 .. index): it erases what has appeared since and draws anew, under
+// fresh uuids, what has disappeared. Null if the history does not compile.
+function restoreGroup(page, index, uuid) {
+    const then = compileVisualState(page.history.slice(0, index));
+    if (!then) {
+        return null;
+    }
+    const actions = [];
+    for (const elementId of page.state.visible) {
+        if (!then.visible.has(elementId)) {
+            actions.push({
+                [MOD_ACTIONS.TYPE]: MOD_ACTIONS.ERASE.TYPE,
+                [MOD_ACTIONS.UUID]: generateSecureUuid(),
+                [MOD_ACTIONS.ERASE.TARGET_ACTION]: elementId
+            });
+        }
+    }
+    for (const [elementId, element] of then.element) {
+        if (then.visible.has(elementId) && !page.state.visible.has(elementId)) {
+            actions.push({
+                [MOD_ACTIONS.TYPE]: MOD_ACTIONS.DRAW.TYPE,
+                [MOD_ACTIONS.UUID]: generateSecureUuid(),
+                [MOD_ACTIONS.DRAW.STROKE]: element
+            });
+        }
+    }
+    return {
+        [MOD_ACTIONS.TYPE]: MOD_ACTIONS.GROUP.TYPE,
+        [MOD_ACTIONS.UUID]: uuid,
+        [MOD_ACTIONS.GROUP.ACTIONS]: actions
+    };
+}
+
+// a page that starts out showing the given elements, with a hash chain of
+// its own. The elements form a checkpoint, so they cannot be undone.
+function createPageFrom(pageId, elements) {
+    if (elements.length === 0) {
+        return createPage(pageId);
+    }
+    const rootHash = hashAny(pageId);
+    const checkpoint = {
+        [MOD_ACTIONS.TYPE]: MOD_ACTIONS.CHECKPOINT.TYPE,
+        [MOD_ACTIONS.UUID]: generateSecureUuid(),
+        [MOD_ACTIONS.CHECKPOINT.ELEMENTS]: elements,
+        [MOD_ACTIONS.CHECKPOINT.HASH]: hashNext(rootHash, elements)
+    };
+    const page = {
+        history: [checkpoint],
+        present: 1,
+        state: { visible: new Set(elements.map(([uuid]) => uuid)) },
+        hashes: [rootHash, checkpoint[MOD_ACTIONS.CHECKPOINT.HASH]],
+        journalSeq: 0
+    };
+    savePage(pageId, page);
+    return page;
+}
+
+// fresh copies of the given pages, returns their uuids in order
+function copyPages(pageIds) {
+    return pageIds.map( (sourceId) => {
+        const source = usePage(sourceId, false);
+        const elements = source ? visibleElements(source) : [];
+        releasePage(sourceId);
+        const pageId = generateSecureUuid();
+        createPageFrom(pageId, elements);
+        return pageId;
+    });
+}
+
+// Put pages of one board into another at the given index of its page order.
+// Copies are fresh pages holding the current visual state; moved pages keep
+// their uuid, history and hash chain and leave the source board. A board
+// that loses all its pages gets an empty one. Returns the uuids the pages
+// have on the target board.
+function transferPages(board, pageIds, target, position, move) {
+    if (!move) {
+        const copyIds = copyPages(pageIds);
+        target.pageOrder.splice(position, 0, ...copyIds);
+        return copyIds;
+    }
+    const moving = new Set(pageIds);
+    board.pageOrder = board.pageOrder.filter(pageId => !moving.has(pageId));
+    if (board.pageOrder.length === 0) {
+        const pageId = generateSecureUuid();
+        createPage(pageId);
+        board.pageOrder.push(pageId);
+    }
+    target.pageOrder.splice(position, 0, ...pageIds);
+    return pageIds;
+}
+
 function insertPage(boardId, pageId, where) {
     const board = useBoard(boardId);
     assert(0 <= where && where <= board.pageOrder.length);
@@ -453,68 +1056,724 @@ function insertPage(boardId, pageId, where) {
 }
 
 
-function existingPage(pageId, board) {
-    if (board.pageOrder.includes(pageId)) {
-        return pageId;
-    }
-    
-    let currentId = pageId;
-    let replacementId = deletionMap[currentId];
-    let N = 0;
-    while (replacementId) {
-        ++N;
-        currentId = replacementId;
-        replacementId = deletionMap[currentId];
-        // incomplete check and stupid heuristic check against circularity
-        assert(!(replacementId === pageId));
-        assert(N < 100000);
+// Replace history[0 .. cut) by a single checkpoint holding the visual state
+// at cut and the hash hashes[cut]. The hashes of the remaining actions do not
+// change, only their indices shift. Compacts once the present lies at least
+// 2 * HISTORY_KEEP actions in, leaving HISTORY_KEEP replayable actions.
+function compactPage(pageId, page) {
+    const cut = page.present - HISTORY_KEEP;
+    if (HISTORY_KEEP <= 0 || cut < Math.max(2, HISTORY_KEEP)) {
+        return false;
     }
-    
-    // Verify the final replacement actually exists
-    if (board.pageOrder.includes(currentId)) {
-        return currentId;
+    const folded = compileVisualState(page.history.slice(0, cut));
+    if (!folded) {
+        debug.error(`[SERVER] Cannot compact page ${pageId}: history does not compile`);
+        return false;
     }
-    
-    // Fallback: if we still don't have a valid page, return the first page of the board
-    assert(board.pageOrder.length > 0);
-    return board.pageOrder[0];
+    const checkpoint = {
+        [MOD_ACTIONS.TYPE]: MOD_ACTIONS.CHECKPOINT.TYPE,
+        [MOD_ACTIONS.UUID]: generateSecureUuid(),
+        [MOD_ACTIONS.CHECKPOINT.ELEMENTS]: [...folded.element].filter(([uuid]) => folded.visible.has(uuid)),
+        [MOD_ACTIONS.CHECKPOINT.HASH]: page.hashes[cut]
+    };
+    pageAuthors(page).splice(0, cut, null);
+    page.history.splice(0, cut, checkpoint);
+    page.hashes.splice(1, cut - 1);
+    page.present -= cut - 1;
+    debug.log(`[SERVER] Compacted page ${pageId}: folded ${cut} actions into a checkpoint`);
+    return true;
 }
 
 
-// internet
-// ========
-
-// const serverOptions = {
-//     key: fs.readFileSync(getFilePath("server", "key")),
-//     cert: fs.readFileSync(getFilePath("server", "cert"))
-// };
+// bookmarks
+// =========
+//
+// A page may carry named positions in its history, page.bookmarks holds
+// [{ label, hash, created }]. A bookmark names its position by the hash of
+// the history up to it, which compaction leaves alone. Bookmarks whose
+// position left the history (folded into a checkpoint, or an undone future
+// that was overwritten) are no longer listed and go with the next change.
+
+// the bookmarks of a page with their positions, in history order
+function pageBookmarks(page) {
+    return (page.bookmarks || [])
+        .map( (bookmark) => ({ ...bookmark, [BOOKMARK.INDEX]: page.hashes.indexOf(bookmark[BOOKMARK.HASH]) }) )
+        .filter( (bookmark) => bookmark[BOOKMARK.INDEX] >= 0 )
+        .sort( (a, b) => a[BOOKMARK.INDEX] - b[BOOKMARK.INDEX] );
+}
 
-// debug.log(`key = ${serverOptions.key}, cert = ${serverOptions.cert}`);
+// name the position with the given hash; an empty label removes its bookmark
+function setBookmark(page, hash, label) {
+    const bookmarks = pageBookmarks(page);
+    const previous = bookmarks.find(bookmark => bookmark[BOOKMARK.HASH] === hash);
+    const kept = bookmarks.filter(bookmark => bookmark !== previous);
+    if (label) {
+        kept.push({
+            [BOOKMARK.LABEL]: label,
+            [BOOKMARK.HASH]: hash,
+            [BOOKMARK.CREATED]: previous ? previous[BOOKMARK.CREATED] : Date.now()
+        });
+    }
+    page.bookmarks = kept.map( ({ [BOOKMARK.INDEX]: index, ...bookmark }) => bookmark );
+}
 
-// Whitelist of files to serve for PWA support
-const serveableFiles = {
-    '/manifest.json': { path: 'manifest.json', type: 'application/json' },
-    '/sw.js': { path: 'sw.js', type: 'application/javascript' },
-    '/icon-192.png': { path: 'icon-192.png', type: 'image/png' },
-    '/icon-512.png': { path: 'icon-512.png', type: 'image/png' },
-    '/apple-touch-icon.png': { path: 'apple-touch-icon.png', type: 'image/png' },
-    '/favicon.ico': { path: 'favicon.ico', type: 'image/vnd.microsoft.icon' },
-    '/robots.txt': { path: 'robots.txt', type: 'text/plain' }
-};
 
+// authors
+// =======
+//
+// page.authors[i] is the AUTHOR record of history[i]: the client id of the
+// proposer, its display name and the time of acceptance, and for the group
+// that undid or redid an edit the uuid of that edit. Checkpoints, and actions
+// recorded before authors were, have null. Authors are kept next to the
+// history and never enter the hash chain.
 
-function isValidRequest(req) {
-    const urlParts = url.parse(req.url, true);
-    const pathname = urlParts.pathname;
-    
-    // 1. Strict Path Validation: Only allow the root path
-    // This blocks /prefix, /admin, /.env, etc.
-    if (pathname !== '/') {
-        return false;
+function pageAuthors(page) {
+    if (!Array.isArray(page.authors) || page.authors.length !== page.history.length) {
+        page.authors = page.history.map( () => null );
     }
+    return page.authors;
+}
 
-    // 2. Query Parameter Validation
-    const queryKeys = Object.keys(urlParts.query);
+// The undo and redo stacks of a client, as history indices, top last. Only
+// the past counts. An edit of the client's own pushes onto the undo stack and
+// clears the redo stack; undoing moves an edit's inverse onto the redo stack,
+// redoing moves the inverse of that inverse back onto the undo stack.
+function authorStacks(page, client) {
+    const authors = pageAuthors(page);
+    const undo = [];
+    const redo = [];
+    for (let index = 0; index < page.present; ++index) {
+        const author = authors[index];
+        if (!author || author[AUTHOR.CLIENT] !== client) {
+            continue;
+        }
+        const reverts = author[AUTHOR.REVERTS];
+        if (!reverts) {
+            undo.push(index);
+            redo.length = 0;
+        } else if (redo.length > 0 && page.history[redo[redo.length - 1]][MOD_ACTIONS.UUID] === reverts) {
+            redo.pop();
+            undo.push(index);
+        } else {
+            const undone = undo.findIndex(i => page.history[i][MOD_ACTIONS.UUID] === reverts);
+            if (undone >= 0) {
+                undo.splice(undone, 1);
+            }
+            redo.push(index);
+        }
+    }
+    return { undo, redo };
+}
+
+// Collect the edits that take back action in the state now, in reverse order:
+// what it drew is erased, what it erased is drawn anew under a fresh uuid.
+// Returns a decline reason if later edits got in the way, null otherwise.
+function collectInverse(now, action, inverse) {
+    switch (action[MOD_ACTIONS.TYPE]) {
+    case MOD_ACTIONS.DRAW.TYPE: {
+        const elementId = action[MOD_ACTIONS.UUID];
+        if (!now.visible.has(elementId)) {
+            return "stroke was erased by a later edit";
+        }
+        now.visible.delete(elementId);
+        inverse.push({
+            [MOD_ACTIONS.TYPE]: MOD_ACTIONS.ERASE.TYPE,
+            [MOD_ACTIONS.UUID]: generateSecureUuid(),
+            [MOD_ACTIONS.ERASE.TARGET_ACTION]: elementId
+        });
+        return null;
+    }
+    case MOD_ACTIONS.ERASE.TYPE: {
+        const elementId = action[MOD_ACTIONS.ERASE.TARGET_ACTION];
+        if (now.visible.has(elementId)) {
+            return "stroke was brought back by a later edit";
+        }
+        inverse.push({
+            [MOD_ACTIONS.TYPE]: MOD_ACTIONS.DRAW.TYPE,
+            [MOD_ACTIONS.UUID]: generateSecureUuid(),
+            [MOD_ACTIONS.DRAW.STROKE]: now.element.get(elementId)
+        });
+        return null;
+    }
+    case MOD_ACTIONS.GROUP.TYPE:
+        for (const edit of [...action[MOD_ACTIONS.GROUP.ACTIONS]].reverse()) {
+            const reason = collectInverse(now, edit, inverse);
+            if (reason) {
+                return reason;
+            }
+        }
+        return null;
+    default:
+        return "unknown action type";
+    }
+}
+
+// what clients learn about a client id: enough to tell authors apart
+function authorPseudonym(client) {
+    return client ? crypto.createHash('sha256').update(client).digest('hex').slice(0, 16) : null;
+}
+
+// who drew each element the page shows now, as element uuid -> AUTHOR record
+// with the client id replaced by its pseudonym; null for elements of a
+// checkpoint or of actions without a record
+function elementAuthors(page) {
+    const authors = pageAuthors(page);
+    const drawnBy = new Map();
+    const collect = (action, author) => {
+        if (action[MOD_ACTIONS.TYPE] === MOD_ACTIONS.DRAW.TYPE) {
+            drawnBy.set(action[MOD_ACTIONS.UUID], author);
+        } else if (action[MOD_ACTIONS.TYPE] === MOD_ACTIONS.GROUP.TYPE) {
+            action[MOD_ACTIONS.GROUP.ACTIONS].forEach( (edit) => collect(edit, author) );
+        }
+    };
+    for (let index = 0; index < page.present; ++index) {
+        collect(page.history[index], authors[index]);
+    }
+    const elements = {};
+    for (const elementId of page.state.visible) {
+        const author = drawnBy.get(elementId);
+        elements[elementId] = author ? {
+            [AUTHOR.CLIENT]: authorPseudonym(author[AUTHOR.CLIENT]),
+            [AUTHOR.NAME]: author[AUTHOR.NAME] || '',
+            [AUTHOR.TIME]: author[AUTHOR.TIME] || null
+        } : null;
+    }
+    return elements;
+}
+
+// The group with which client takes back its latest own edit (undo) or its
+// latest undo (redo), or the reason why it cannot.
+function revertGroup(page, client, redo, uuid) {
+    const stack = authorStacks(page, client)[redo ? 'redo' : 'undo'];
+    if (stack.length === 0) {
+        return { reason: redo ? "nothing to redo" : "nothing to undo" };
+    }
+    const target = page.history[stack[stack.length - 1]];
+    const now = compileVisualState(page.history.slice(0, page.present));
+    if (!now) {
+        return { reason: "cannot apply action to current visual state" };
+    }
+    const inverse = [];
+    const reason = collectInverse(now, target, inverse);
+    if (reason) {
+        return { reason };
+    }
+    return {
+        group: {
+            [MOD_ACTIONS.TYPE]: MOD_ACTIONS.GROUP.TYPE,
+            [MOD_ACTIONS.UUID]: uuid,
+            [MOD_ACTIONS.GROUP.ACTIONS]: inverse
+        },
+        reverts: target[MOD_ACTIONS.UUID]
+    };
+}
+
+
+// follow the redirects of a deleted page; null if they run in a circle
+function resolveDeletion(pageId) {
+    const seen = new Set();
+    let currentId = pageId;
+    while (deletionMap[currentId]) {
+        if (seen.has(currentId)) {
+            return null;
+        }
+        seen.add(currentId);
+        currentId = deletionMap[currentId];
+    }
+    return currentId;
+}
+
+function existingPage(pageId, board) {
+    if (board.pageOrder.includes(pageId)) {
+        return pageId;
+    }
+    
+    // Verify the final replacement actually exists
+    const currentId = resolveDeletion(pageId);
+    if (board.pageOrder.includes(currentId)) {
+        return currentId;
+    }
+    
+    // Fallback: if we still don't have a valid page, return the first page of the board
+    assert(board.pageOrder.length > 0);
+    return board.pageOrder[0];
+}
+
+
+// garbage collection
+// ==================
+//
+// Deleting a page only takes it out of the board's pageOrder and records a
+// redirect to its replacement; the page stays in storage so that old links
+// keep working. The sweeper collapses redirect chains, so that every deleted
+// page points straight at the page it ended up on. Once a deletion is older
+// than the retention period, the page is removed from storage together with
+// its redirect. Pages no board refers to and no redirect mentions (left over
+// from a crash, for instance) go once they were last written before that.
+// Deleted boards are purged once they were removed longer ago than their own
+// retention period (see removed boards below).
+
+const GC_RETENTION_DAYS = envNumber('KUBUX_WHITEBOARD_GC_RETENTION_DAYS', 30);
+const GC_INTERVAL_HOURS = envNumber('KUBUX_WHITEBOARD_GC_INTERVAL_HOURS', 24); // 0 = never sweep
+
+// drop a page from the cache unless a client is using it right now
+function forgetPage(pageId) {
+    if (!pageCache.forget(pageId)) {
+        return false;
+    }
+    dirtyPages.delete(pageId);
+    journalLengths.delete(pageId);
+    return true;
+}
+
+function sweep(now = Date.now()) {
+    const report = { collapsed: 0, mappings: 0, pages: 0, bytes: 0, boards: 0 };
+    if (unreadableBoards.size > 0) {
+        // a board we cannot read might still own the pages that look orphaned
+        debug.error(`[GC] Skipping sweep: not every board could be loaded`);
+        return null;
+    }
+    const cutoff = now - GC_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    const storedPages = new Map(storage.listItems('page').map(item => [item.id, item]));
+
+    storage.transaction( () => {
+        const targets = Object.keys(deletionMap).map(pageId => [pageId, resolveDeletion(pageId)]);
+        for (const [pageId, targetId] of targets) {
+            if (isLivePage(targetId) && deletionMap[pageId] !== targetId) {
+                deletionMap[pageId] = targetId;
+                report.collapsed += 1;
+            }
+        }
+
+        const removePage = (pageId) => {
+            const stored = storedPages.get(pageId);
+            if (stored) {
+                storedPages.delete(pageId);
+                storage.removeItem('page', pageId);
+                report.pages += 1;
+                report.bytes += stored.size;
+            }
+        };
+        for (const pageId of Object.keys(deletionMap)) {
+            if (deletionTimes[pageId] >= cutoff || isLivePage(pageId) || !forgetPage(pageId)) {
+                continue;
+            }
+            removePage(pageId);
+            delete deletionMap[pageId];
+            delete deletionTimes[pageId];
+            report.mappings += 1;
+        }
+        for (const [pageId, stored] of [...storedPages]) {
+            if (stored.modified < cutoff && isUuid(pageId) && !isLivePage(pageId)
+                && !(pageId in deletionMap) && forgetPage(pageId)) {
+                removePage(pageId);
+            }
+        }
+
+        if (report.collapsed + report.mappings > 0) {
+            deletionMapDirty = true;
+            persistDeletionMap();
+        }
+
+        const boardCutoff = now - BOARD_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+        for (const stored of storage.listItems('removed')) {
+            if (stored.modified < boardCutoff && isUuid(stored.id)) {
+                storage.removeItem('removed', stored.id);
+                report.boards += 1;
+                report.bytes += stored.size;
+            }
+        }
+    });
+
+    debug.error(`[GC] Collapsed ${report.collapsed} redirect chains, removed ${report.mappings} stale redirects, ${report.pages} pages and ${report.boards} deleted boards (${report.bytes} bytes)`);
+    return report;
+}
+
+
+// board archives
+// ==============
+//
+// An archive holds everything needed to recreate a board on another server:
+//
+//   { format, version, exported, 'board-uuid', board: { passwdHash, tokens, pageOrder },
+//     pages: { pageId: { history, present, hashes, bookmarks, authors } },
+//     deletions: { deletedPageId: replacementPageId } }
+//
+// deletions are the deletion map entries that redirect into the board. Version
+// 1 archives have the plain passwd instead of passwdHash, for tokens as well.
+
+function exportBoard(boardId, board) {
+    const pages = {};
+    for (const pageId of board.pageOrder) {
+        const page = usePage(pageId);
+        pages[pageId] = {
+            history: page.history,
+            present: page.present,
+            hashes: page.hashes,
+            bookmarks: page.bookmarks || [],
+            authors: pageAuthors(page)
+        };
+        releasePage(pageId);
+    }
+    const deletions = {};
+    for (const [deletedId, replacementId] of Object.entries(deletionMap)) {
+        if (board.pageOrder.includes(resolveDeletion(deletedId))) {
+            deletions[deletedId] = replacementId;
+        }
+    }
+    return {
+        format: BOARD_ARCHIVE.FORMAT,
+        version: BOARD_ARCHIVE.VERSION,
+        exported: new Date().toISOString(),
+        'board-uuid': boardId,
+        board: {
+            passwdHash: board.passwdHash,
+            tokens: boardTokens(board),
+            pageOrder: board.pageOrder,
+            meta: boardMeta(board)
+        },
+        pages: pages,
+        deletions: deletions
+    };
+}
+
+function is_invalid_archived_history(history) {
+    return history.some( (action, index) => {
+        if (index === 0 && action && action[MOD_ACTIONS.TYPE] === MOD_ACTIONS.CHECKPOINT.TYPE) {
+            // the elements are [uuid, stroke] pairs, shown as they are
+            const elements = action[MOD_ACTIONS.CHECKPOINT.ELEMENTS];
+            return !Array.isArray(elements)
+                || typeof action[MOD_ACTIONS.CHECKPOINT.HASH] !== 'string'
+                || !elements.every( (element) => Array.isArray(element) && element.length === 2
+                    && typeof element[0] === 'string' && element[0] !== '' && !is_invalid_stroke(element[1]) );
+        }
+        return is_invalid_action_payload(action)
+            || ![MOD_ACTIONS.DRAW.TYPE, MOD_ACTIONS.ERASE.TYPE, MOD_ACTIONS.GROUP.TYPE].includes(action[MOD_ACTIONS.TYPE]);
+    });
+}
+
+// returns null if the archive can be imported, a decline reason otherwise
+function invalidArchiveReason(archive) {
+    if (archive.format !== BOARD_ARCHIVE.FORMAT) {
+        return "not a board archive";
+    }
+    if (!Number.isInteger(archive.version)
+        || archive.version < BOARD_ARCHIVE.OLDEST_VERSION || archive.version > BOARD_ARCHIVE.VERSION) {
+        return `unsupported archive version ${archive.version}`;
+    }
+    const board = archive.board;
+    if (!isUuid(archive['board-uuid']) || !board
+        || (archive.version === 1 ? typeof board.passwd !== 'string' : !isPasswordHash(board.passwdHash))
+        || !Array.isArray(board.pageOrder) || board.pageOrder.length < 1
+        || !board.pageOrder.every(isUuid) || new Set(board.pageOrder).size !== board.pageOrder.length) {
+        return "invalid board in archive";
+    }
+    if (!archive.pages || typeof archive.pages !== 'object') {
+        return "invalid pages in archive";
+    }
+    for (const pageId of board.pageOrder) {
+        const page = archive.pages[pageId];
+        if (!page || !Array.isArray(page.history) || !Array.isArray(page.hashes)
+            || !Number.isInteger(page.present) || page.present < 0 || page.present > page.history.length
+            || is_invalid_archived_history(page.history)) {
+            return `invalid page ${pageId} in archive`;
+        }
+        if (!isEqual(hashChain(pageId, page.history), page.hashes)) {
+            return `hash chain of page ${pageId} does not match its history`;
+        }
+        if (!compileVisualState(page.history.slice(0, page.present))) {
+            return `history of page ${pageId} does not apply`;
+        }
+    }
+    // every deletion must redirect, possibly through other deleted pages,
+    // to one of the archive's pages
+    const deletions = archive.deletions || {};
+    const ownPages = new Set(board.pageOrder);
+    const endsOnOwnPage = (pageId) => {
+        const seen = new Set();
+        while (deletions[pageId] && !seen.has(pageId)) {
+            seen.add(pageId);
+            pageId = deletions[pageId];
+        }
+        return ownPages.has(pageId);
+    };
+    if (typeof deletions !== 'object'
+        || !Object.entries(deletions).every(([from, to]) =>
+            isUuid(from) && isUuid(to) && !ownPages.has(from) && endsOnOwnPage(from))) {
+        return "invalid deletions in archive";
+    }
+    return null;
+}
+
+// returns null if the archived board fits the page and history quotas, and
+// each archived action the group and stroke quotas a proposal has to fit,
+// the strokes of a leading checkpoint included; a decline reason otherwise
+function archiveQuotaReason(archive) {
+    const pageOrder = archive.board.pageOrder;
+    if (overQuota(pageOrder.length, QUOTA_BOARD_PAGES)) {
+        return "too many pages";
+    }
+    const histories = pageOrder.map(pageId => archive.pages[pageId].history);
+    if (histories.some(history => overQuota(history.length, QUOTA_PAGE_HISTORY))) {
+        return "page history full";
+    }
+    const actions = histories.flat();
+    if (actions.some(action => action[MOD_ACTIONS.TYPE] === MOD_ACTIONS.GROUP.TYPE
+                     && overQuota(count_group_actions(action, QUOTA_GROUP_ACTIONS), QUOTA_GROUP_ACTIONS))) {
+        return "group too large";
+    }
+    const strokeLength = (action) => action[MOD_ACTIONS.TYPE] === MOD_ACTIONS.CHECKPOINT.TYPE
+        ? action[MOD_ACTIONS.CHECKPOINT.ELEMENTS].reduce((longest, [, stroke]) => Math.max(longest, stroke[ELEMENT.POINTS].length), 0)
+        : longestStroke(action);
+    if (actions.some(action => overQuota(strokeLength(action), QUOTA_STROKE_POINTS))) {
+        return "stroke too long";
+    }
+    return null;
+}
+
+// archives may come from servers that predate board metadata
+function archivedBoardMeta(meta) {
+    const imported = boardMeta({});
+    if (!meta || typeof meta !== 'object') {
+        return imported;
+    }
+    for (const key of Object.keys(BOARD_META.MAX_LENGTH)) {
+        if (!is_invalid_board_meta({ [key]: meta[key] })) {
+            imported[key] = meta[key];
+        }
+    }
+    for (const key of [BOARD_META.CREATED, BOARD_META.MODIFIED, BOARD_META.ARCHIVED]) {
+        if (Number.isFinite(meta[key])) {
+            imported[key] = meta[key];
+        }
+    }
+    imported[BOARD_META.TEMPLATE] = meta[BOARD_META.TEMPLATE] === true;
+    return imported;
+}
+
+// Archives may predate bookmarks; bad entries are dropped. Under a fresh page
+// uuid the hashes change, so bookmarks move to the hash at the same position.
+function archivedBookmarks(bookmarks, archivedHashes, hashes) {
+    if (!Array.isArray(bookmarks)) {
+        return [];
+    }
+    return bookmarks.filter( (bookmark) => bookmark && typeof bookmark === 'object'
+            && typeof bookmark[BOOKMARK.LABEL] === 'string' && bookmark[BOOKMARK.LABEL].length > 0
+            && bookmark[BOOKMARK.LABEL].length <= BOOKMARK.MAX_LABEL_LENGTH
+            && archivedHashes.includes(bookmark[BOOKMARK.HASH])
+            && Number.isFinite(bookmark[BOOKMARK.CREATED]) )
+        .map( (bookmark) => ({
+            [BOOKMARK.LABEL]: bookmark[BOOKMARK.LABEL],
+            [BOOKMARK.HASH]: hashes[archivedHashes.indexOf(bookmark[BOOKMARK.HASH])],
+            [BOOKMARK.CREATED]: bookmark[BOOKMARK.CREATED]
+        }) );
+}
+
+// authors are optional, too; without a valid record for every action the
+// imported page starts without any
+function archivedAuthors(authors, length) {
+    const valid = Array.isArray(authors) && authors.length === length
+        && authors.every( (author) => author === null || (author && typeof author === 'object'
+            && (author[AUTHOR.CLIENT] === null || typeof author[AUTHOR.CLIENT] === 'string')
+            && (author[AUTHOR.NAME] === undefined || typeof author[AUTHOR.NAME] === 'string')
+            && (author[AUTHOR.TIME] === undefined || Number.isFinite(author[AUTHOR.TIME]))
+            && (author[AUTHOR.REVERTS] === undefined || typeof author[AUTHOR.REVERTS] === 'string')) );
+    return valid ? authors : undefined;
+}
+
+function isPasswordHash(value) {
+    return typeof value === 'string' && /^[0-9a-f]+:[0-9a-f]+$/.test(value);
+}
+
+// Archives may predate access tokens; bad entries are dropped. Version 1
+// archives hold the tokens' plain passwords and no keys.
+function archivedTokens(tokens, version) {
+    if (!Array.isArray(tokens)) {
+        return [];
+    }
+    return tokens.filter( (token) => token && typeof token === 'object'
+            && isUuid(token[ACCESS_TOKEN.ID])
+            && typeof token[ACCESS_TOKEN.LABEL] === 'string' && token[ACCESS_TOKEN.LABEL].length <= ACCESS_TOKEN.MAX_LABEL_LENGTH
+            && ROLE.ORDER.includes(token[ACCESS_TOKEN.ROLE])
+            && Number.isFinite(token[ACCESS_TOKEN.CREATED])
+            && (version === 1
+                ? typeof token.passwd === 'string' && token.passwd.length > 0
+                : isPasswordHash(token.passwdHash)
+                  && typeof token.key === 'string' && /^[0-9a-z]+$/.test(token.key)) )
+        .slice(0, ACCESS_TOKEN.MAX_TOKENS)
+        .map( (token) => version === 1
+              ? { ...archivedToken(token), passwd: token.passwd }
+              : { ...archivedToken(token), key: token.key, passwdHash: token.passwdHash } );
+}
+
+function archivedToken(token) {
+    return {
+        [ACCESS_TOKEN.ID]: token[ACCESS_TOKEN.ID],
+        [ACCESS_TOKEN.LABEL]: token[ACCESS_TOKEN.LABEL],
+        [ACCESS_TOKEN.ROLE]: token[ACCESS_TOKEN.ROLE],
+        [ACCESS_TOKEN.CREATED]: token[ACCESS_TOKEN.CREATED]
+    };
+}
+
+// The deleted pages an archive brings along must be gone from this server:
+// otherwise the imported board would claim a page that still exists, and
+// links to it would lead to the imported board. Deletions the server already
+// knows are left as they are on import.
+function archivedDeletionsClash(deletions) {
+    return Object.keys(deletions || {}).some(deletedId => !deletionMap[deletedId] && loadPage(deletedId));
+}
+
+// Recreate an archived board, either under its original uuids (with its
+// passwords and deletion map entries) or under fresh ones with a new password
+// and no access tokens. The password comes back if it is known: always for
+// fresh uuids, for original ones only from version 1 archives.
+function importBoard(archive, keepUuid, owner) {
+    const reason = invalidArchiveReason(archive) || archiveQuotaReason(archive);
+    if (reason) {
+        return { reason };
+    }
+    const originalOrder = archive.board.pageOrder;
+    let boardId = archive['board-uuid'];
+    let passwd = archive.version === 1 ? archive.board.passwd : undefined;
+    let pageIds = originalOrder;
+    if (keepUuid) {
+        if (loadBoard(boardId)) {
+            return { reason: "board exists" };
+        }
+        if (originalOrder.some(pageId => loadPage(pageId))) {
+            return { reason: "page exists" };
+        }
+        if (archivedDeletionsClash(archive.deletions)) {
+            return { reason: "deleted page exists" };
+        }
+    } else {
+        boardId = generateSecureUuid();
+        passwd = generatePasswd();
+        pageIds = originalOrder.map(() => generateSecureUuid());
+    }
+
+    storage.transaction( () => {
+        originalOrder.forEach( (originalId, index) => {
+            const pageId = pageIds[index];
+            const archived = archive.pages[originalId];
+            const hashes = keepUuid ? archived.hashes : hashChain(pageId, archived.history);
+            savePage(pageId, {
+                history: archived.history,
+                present: archived.present,
+                state: { visible: compileVisualState(archived.history.slice(0, archived.present)).visible },
+                hashes: hashes,
+                bookmarks: archivedBookmarks(archived.bookmarks, archived.hashes, hashes),
+                authors: archivedAuthors(archived.authors, archived.history.length),
+                journalSeq: 0
+            });
+        });
+        const board = {
+            passwdHash: keepUuid && archive.version > 1 ? archive.board.passwdHash : hashPassword(passwd),
+            tokens: keepUuid ? archivedTokens(archive.board.tokens, archive.version) : [],
+            pageOrder: pageIds,
+            owner: owner,
+            meta: archivedBoardMeta(archive.board.meta)
+        };
+        hashBoardPasswords(board);
+        saveBoard(boardId, board);
+        if (keepUuid) {
+            for (const [deletedId, replacementId] of Object.entries(archive.deletions || {})) {
+                if (!deletionMap[deletedId]) {
+                    recordDeletion(deletedId, replacementId);
+                }
+            }
+            persistDeletionMap();
+        }
+    });
+    debug.log(`[SERVER] Imported board ${archive['board-uuid']} as ${boardId} with ${pageIds.length} pages`);
+    return { boardId, passwd };
+}
+
+
+// removed boards
+// ==============
+//
+// Deleting a board moves it out of the way as a board archive, stamped with
+// the time of removal and its owner. The board's pages and the redirects into
+// it leave storage and the deletion map right away, except for pages that
+// another board shows or a client holds at the moment. Until the sweeper purges
+// it, the archive can be imported again (keeping the uuid brings back the old
+// links), and clients asking for the board learn that it was deleted.
+
+const BOARD_RETENTION_DAYS = envNumber('KUBUX_WHITEBOARD_BOARD_RETENTION_DAYS', 30);
+
+// the holder of a server credential manages the boards created with it, and
+// all boards from before boards remembered their credential
+function mayManageBoard(board, owner) {
+    return !!owner && (!board.owner || board.owner === owner);
+}
+
+// the board must not be in use
+function removeBoard(boardId, board) {
+    const archive = exportBoard(boardId, board);
+    const deletedIds = Object.keys(archive.deletions);
+    // pages another board shows stay, and so do pages a client holds right
+    // now; the sweeper takes them once nothing refers to them any more
+    const complete = unreadableBoards.size === 0;
+    if (!complete) {
+        debug.error(`[SERVER] Not every board could be loaded, leaving the pages of board ${boardId} to the sweeper`);
+    }
+    storage.transaction( () => {
+        storage.saveItem('removed', boardId, { ...archive, removed: Date.now(), owner: board.owner || null });
+        for (const pageId of [...board.pageOrder, ...deletedIds]) {
+            if (complete && !isLivePage(pageId, boardId) && forgetPage(pageId)) {
+                storage.removeItem('page', pageId);
+            }
+        }
+        for (const pageId of deletedIds) {
+            delete deletionMap[pageId];
+            delete deletionTimes[pageId];
+            deletionMapDirty = true;
+        }
+        persistDeletionMap();
+        storage.removeItem('board', boardId);
+    });
+    boardCache.forget(boardId);
+    dirtyBoards.delete(boardId);
+    unindexBoard(boardId);
+    debug.error(`[SERVER] Deleted board ${boardId} with ${board.pageOrder.length} pages`);
+}
+
+
+// internet
+// ========
+
+// const serverOptions = {
+//     key: fs.readFileSync(getFilePath("server", "key")),
+//     cert: fs.readFileSync(getFilePath("server", "cert"))
+// };
+
+// debug.log(`key = ${serverOptions.key}, cert = ${serverOptions.cert}`);
+
+// Whitelist of files to serve for PWA support
+const serveableFiles = {
+    '/manifest.json': { path: 'manifest.json', type: 'application/json' },
+    '/sw.js': { path: 'sw.js', type: 'application/javascript' },
+    '/icon-192.png': { path: 'icon-192.png', type: 'image/png' },
+    '/icon-512.png': { path: 'icon-512.png', type: 'image/png' },
+    '/apple-touch-icon.png': { path: 'apple-touch-icon.png', type: 'image/png' },
+    '/favicon.ico': { path: 'favicon.ico', type: 'image/vnd.microsoft.icon' },
+    '/robots.txt': { path: 'robots.txt', type: 'text/plain' }
+};
+
+
+function isValidRequest(req) {
+    const urlParts = url.parse(req.url, true);
+    const pathname = urlParts.pathname;
+    
+    // 1. Strict Path Validation: Only allow the root path
+    // This blocks /prefix, /admin, /.env, etc.
+    if (pathname !== '/') {
+        return false;
+    }
+
+    // 2. Query Parameter Validation
+    const queryKeys = Object.keys(urlParts.query);
     const allowedKeys = ['board', 'passwd', 'credential'];
 
     // Ensure all keys used are in the whitelist
@@ -658,6 +1917,9 @@ httpServer.listen(serverPort, () => {
         debug.log(`[SERVER] WebSocket endpoint available at: /ws`);
         debug.log(`[SERVER] (Accessible via reverse proxy at wss://<your-domain>/ws)`);
     }
+    if (GC_INTERVAL_HOURS > 0) {
+        sweep(); // a server that is restarted often might never reach the first interval
+    }
 });
 
 
@@ -689,7 +1951,10 @@ function get_page_snapshots(page) {
 
 function sendFullPage(ws, boardId, requestedPageId, do_switch, requestId) {
     const board = useBoard(boardId);
-    if ( ! board ) { return; }
+    if ( ! board ) {
+        sendBoardRemoved(ws, boardId, requestId);
+        return;
+    }
 
     const pageId = existingPage(requestedPageId, board);
     if ( pageId != requestedPageId ) {
@@ -731,7 +1996,10 @@ function sendFullPage(ws, boardId, requestedPageId, do_switch, requestId) {
 
 function sendPageInfo(ws, boardId, requestedPageId, do_switch, requestId) {
     const board = useBoard(boardId);
-    if ( ! board ) { return; }
+    if ( ! board ) {
+        sendBoardRemoved(ws, boardId, requestId);
+        return;
+    }
     const pageId = existingPage(requestedPageId, board);
     const page = usePage(pageId);
     const pageHistory = page.history;
@@ -804,11 +2072,12 @@ function ping_client_with_page ( client, pageId, board ) {
     
     client.send(serialize(message));
     logSentMessage(message.type, message, 'N/A', client.clientId);
+    updatePresence(client); // a deleted page sends the client elsewhere
 }
 
 function ping_client( client ) {
     const board = useBoard(client.boardId);
-    assert(board);
+    if ( !board ) { return; }
     const pageId = existingPage(client.pageId, board);
     client.pageId = pageId;
     ping_client_with_page( client, pageId, board );
@@ -830,13 +2099,17 @@ function sendPingToBoard ( boardId ) {
     });
 }
 
-function boardInfo ( boardId, board, requestId ) {
+function boardInfo ( boardId, board, requestId, reason ) {
     const board_info_message = {
         type: MESSAGES.SERVER_TO_CLIENT.BOARD_INFO.TYPE,
         [MESSAGES.SERVER_TO_CLIENT.BOARD_INFO.BOARD]: boardId,
         [MESSAGES.SERVER_TO_CLIENT.BOARD_INFO.PAGES]: board.pageOrder,
+        [MESSAGES.SERVER_TO_CLIENT.BOARD_INFO.META]: boardMeta(board),
         [MESSAGES.SERVER_TO_CLIENT.BOARD_INFO.REQUEST_ID]: requestId
     };
+    if ( reason ) {
+        board_info_message[MESSAGES.SERVER_TO_CLIENT.BOARD_INFO.REASON] = reason;
+    }
     return ( board_info_message );
 }
 
@@ -845,11 +2118,28 @@ function broadcastBoardInfo( boardId, board, requestId ) {
     broadcastMessageToBoard( message, boardId );
 }
 
+function boardRemoved ( boardId, requestId, reason ) {
+    return {
+        type: MESSAGES.SERVER_TO_CLIENT.BOARD_REMOVED.TYPE,
+        [MESSAGES.SERVER_TO_CLIENT.BOARD_REMOVED.BOARD]: boardId,
+        [MESSAGES.SERVER_TO_CLIENT.BOARD_REMOVED.REASON]: reason,
+        [MESSAGES.SERVER_TO_CLIENT.BOARD_REMOVED.REQUEST_ID]: requestId
+    };
+}
+
+// tell a client that the board it asked for is gone
+function sendBoardRemoved( ws, boardId, requestId ) {
+    const reason = loadRemovedBoard( boardId ) ? "deleted" : "unknown board";
+    const message = boardRemoved( boardId, requestId, reason );
+    ws.send( serialize( message ) );
+    logSentMessage( message.type, message, requestId, ws.clientId );
+}
+
 function sendBoardInfo() {
     wss.clients.forEach(client => {
         if ( client.readyState === WebSocket.OPEN && client.boardId ) {
             const boardId = client.boardId;
-            const board = useBoard( boardId, false );
+            const board = useBoard( boardId );
             if ( board ) {
                 const message = boardInfo( boardId, board, NULL_UUID );
                 releaseBoard( boardId );
@@ -863,9 +2153,10 @@ function sendBoardInfo() {
 const messageHandlers = {};
 
 
-function createNewBoard(ws, clientId, requestId) {
+function createNewBoard(ws, clientId, creator, owner, template, requestId) {
     const boardId = generateSecureUuid();
-    const board = createBoard(boardId);
+    const password = generatePasswd(); // only its hash is stored
+    const board = createBoard(boardId, creator, owner, template, password);
     if (board) {
         ws.boardId = boardId; // Store boardId in WebSocket client
         ws.clientId = clientId; // Store client ID for tracking
@@ -880,8 +2171,9 @@ function createNewBoard(ws, clientId, requestId) {
         const response = {
             type: MESSAGES.SERVER_TO_CLIENT.BOARD_CREATED.TYPE,
             [MESSAGES.SERVER_TO_CLIENT.BOARD_CREATED.BOARD]: boardId,
-            [MESSAGES.SERVER_TO_CLIENT.BOARD_CREATED.PASSWORD]: board.passwd,
-            [MESSAGES.SERVER_TO_CLIENT.BOARD_CREATED.FIRST_PAGE_ID]: ws.pageId,
+            [MESSAGES.SERVER_TO_CLIENT.BOARD_CREATED.PASSWORD]: password,
+            [MESSAGES.SERVER_TO_CLIENT.BOARD_CREATED.FIRST_PAGE]: ws.pageId,
+            [MESSAGES.SERVER_TO_CLIENT.BOARD_CREATED.META]: boardMeta(board),
             [MESSAGES.SERVER_TO_CLIENT.BOARD_CREATED.REQUEST_ID]: requestId
         };
         ws.send(serialize(response));
@@ -891,8 +2183,19 @@ function createNewBoard(ws, clientId, requestId) {
     }
 }
 
+function declineBoardCreation(ws, reason, requestId) {
+    debug.log(`[SERVER] Board creation declined: ${reason}`);
+    const response = {
+        type: MESSAGES.SERVER_TO_CLIENT.BOARD_CREATED.TYPE,
+        [MESSAGES.SERVER_TO_CLIENT.BOARD_CREATED.REASON]: reason,
+        [MESSAGES.SERVER_TO_CLIENT.BOARD_CREATED.REQUEST_ID]: requestId
+    };
+    ws.send(serialize(response));
+    logSentMessage(response.type, response, requestId, ws.clientId);
+}
+
 function registerBoard(ws, boardId, clientId, requestId) {
-    const board = useBoard(boardId, false);
+    const board = useBoard(boardId);
     if (board) {
         ws.boardId = boardId; // Store boardId in WebSocket client
         ws.clientId = clientId; // Store client ID for tracking
@@ -910,11 +2213,38 @@ function registerBoard(ws, boardId, clientId, requestId) {
             [MESSAGES.SERVER_TO_CLIENT.BOARD_REGISTERED.FIRST_PAGE]: ws.pageId,
             [MESSAGES.SERVER_TO_CLIENT.BOARD_REGISTERED.LAST_PAGE]: board.pageOrder[ board.pageOrder.length - 1 ],
             [MESSAGES.SERVER_TO_CLIENT.BOARD_REGISTERED.TOTAL_PAGES]: board.pageOrder.length,
+            [MESSAGES.SERVER_TO_CLIENT.BOARD_REGISTERED.META]: boardMeta(board),
             [MESSAGES.SERVER_TO_CLIENT.BOARD_REGISTERED.REQUEST_ID]: requestId
         };
         ws.send(serialize(response));
         releaseBoard(boardId);
+    } else {
+        sendBoardRemoved(ws, boardId, requestId);
+    }
+}
+
+// the given boards, most recently changed first
+function boardDirectory( boardIds ) {
+    const entries = [];
+    for ( const boardId of boardIds ) {
+        const board = boardCache.peek( boardId ) || loadBoard( boardId );
+        if ( board ) {
+            const entry = {
+                [MESSAGES.SERVER_TO_CLIENT.BOARD_LIST.ENTRY.BOARD]: boardId,
+                [MESSAGES.SERVER_TO_CLIENT.BOARD_LIST.ENTRY.TOTAL_PAGES]: board.pageOrder.length,
+                [MESSAGES.SERVER_TO_CLIENT.BOARD_LIST.ENTRY.META]: boardMeta( board )
+            };
+            entries.push( entry );
+        }
     }
+    const modified = ( entry ) => entry[MESSAGES.SERVER_TO_CLIENT.BOARD_LIST.ENTRY.META][BOARD_META.MODIFIED] || 0;
+    return entries.sort( ( a, b ) => modified( b ) - modified( a ) );
+}
+
+// whether the holder of a server credential may create or import another
+// board; counts the boards created or imported with the credential
+function mayAddBoard( owner ) {
+    return !overQuota( ( ownerBoards.get( owner ) || new Set() ).size + 1, QUOTA_BOARDS );
 }
 
 function findPage ( board, pageId, delta ) {
@@ -959,6 +2289,8 @@ function describePage(ws, boardId, pageId, delta, do_switch, requestId) {
         }
         ws.send(serialize(response));
         releasePage(resolvedPageId);
+    } else {
+        sendBoardRemoved(ws, boardId, requestId);
     }
     releaseBoard(boardId);
 }
@@ -967,6 +2299,7 @@ function registerPage(ws, boardId, clientId, pageId, delta, requestId) {
     const board = useBoard(boardId);
     if ( !board ) {
         debug.log(`[SERVER]: Cannot find board ${boardId}`);
+        sendBoardRemoved(ws, boardId, requestId);
     } else {
         const resolvedPageId = findPage( board, pageId, delta );
         ws.boardId = boardId; // Store boardId in WebSocket client
@@ -1032,7 +2365,7 @@ messageHandlers[MESSAGES.CLIENT_TO_SERVER.BOARD_INFO_REQUEST.TYPE] = (ws, data,
     const boardId = data[MESSAGES.CLIENT_TO_SERVER.BOARD_INFO_REQUEST.BOARD];
     const do_register = data[MESSAGES.CLIENT_TO_SERVER.BOARD_INFO_REQUEST.REGISTER];
 
-    const board = useBoard( boardId, false );
+    const board = useBoard( boardId );
     if ( board ) {
         if ( do_register ) {
             ws.boardId = boardId;
@@ -1040,14 +2373,11 @@ messageHandlers[MESSAGES.CLIENT_TO_SERVER.BOARD_INFO_REQUEST.TYPE] = (ws, data,
             debug.log(`[SERVER] Client ${ws.clientId} registered with board via board-info-request: ${boardId}`);
         }
 
-        const message = {
-            type: MESSAGES.SERVER_TO_CLIENT.BOARD_INFO.TYPE,
-            [MESSAGES.SERVER_TO_CLIENT.BOARD_INFO.BOARD]: boardId,
-            [MESSAGES.SERVER_TO_CLIENT.BOARD_INFO.PAGES]: board.pageOrder,
-            [MESSAGES.SERVER_TO_CLIENT.BOARD_INFO.REQUEST_ID]: requestId
-        };
+        const message = boardInfo( boardId, board, requestId );
         ws.send(serialize(message));
         logSentMessage(message.type, message, requestId, ws.clientId);
+    } else {
+        sendBoardRemoved( ws, boardId, requestId );
     }
     releaseBoard(boardId);
 };
@@ -1058,165 +2388,1117 @@ messageHandlers[MESSAGES.CLIENT_TO_SERVER.SHUFFLE_PROPOSAL.TYPE] = (ws, data, re
         debug.log(`[SERVER] dropped shuffle proposal from `, ws.clientId);
         return;
     }
-    const boardId = data[MESSAGES.CLIENT_TO_SERVER.SHUFFLE_PROPOSAL.BOARD];
-    if ( ws.boardId !== boardId ) {
-        debug.log(`[SERVER] Client ${ws.clientId} not registered for board ${boardId}, dropping shuffle proposal`);
+    const boardId = data[MESSAGES.CLIENT_TO_SERVER.SHUFFLE_PROPOSAL.BOARD];
+    if ( ws.boardId !== boardId ) {
+        debug.log(`[SERVER] Client ${ws.clientId} not registered for board ${boardId}, dropping shuffle proposal`);
+        return;
+    }
+    const password = data[MESSAGES.CLIENT_TO_SERVER.SHUFFLE_PROPOSAL.PASSWORD];
+    const before = data[MESSAGES.CLIENT_TO_SERVER.SHUFFLE_PROPOSAL.BEFORE];
+    const after = data[MESSAGES.CLIENT_TO_SERVER.SHUFFLE_PROPOSAL.AFTER];
+
+    const board = useBoard( boardId );
+    if ( !board ) {
+        debug.log(`[SERVER] Cannot find board ${boardId}`);
+        releaseBoard(boardId);
+        return;
+    }
+
+    // Reordering pages is for owners
+    if ( !mayAct( board, password, ROLE.OWNER ) ) {
+        debug.log(`[SERVER] Shuffle proposal declined: unauthorized`);
+        // decline: send BOARD_INFO with current state
+        const declineMessage = boardInfo( boardId, board, requestId, "unauthorized" );
+        ws.send(serialize(declineMessage));
+        logSentMessage(declineMessage.type, declineMessage, requestId, ws.clientId);
+        releaseBoard(boardId);
+        return;
+    }
+
+    if ( isArchived( board ) ) {
+        debug.log(`[SERVER] Shuffle proposal declined: board is archived`);
+        const declineMessage = boardInfo( boardId, board, requestId, "archived" );
+        ws.send(serialize(declineMessage));
+        logSentMessage(declineMessage.type, declineMessage, requestId, ws.clientId);
+        releaseBoard(boardId);
+        return;
+    }
+
+    // Sync check: client's BEFORE must match current state
+    if ( !isEqual( before, board.pageOrder ) ) {
+        debug.log(`[SERVER] Shuffle proposal declined: out of sync`);
+        // decline: send BOARD_INFO with current state
+        const declineMessage = boardInfo( boardId, board, requestId, "out of sync" );
+        ws.send(serialize(declineMessage));
+        logSentMessage(declineMessage.type, declineMessage, requestId, ws.clientId);
+        releaseBoard(boardId);
+        return;
+    }
+
+    // Permutation check: AFTER must contain the same UUIDs
+    if ( before.length !== after.length ) {
+        debug.log(`[SERVER] Shuffle proposal declined: length mismatch`);
+        const declineMessage = boardInfo( boardId, board, requestId, "not a permutation" );
+        ws.send(serialize(declineMessage));
+        logSentMessage(declineMessage.type, declineMessage, requestId, ws.clientId);
+        releaseBoard(boardId);
+        return;
+    }
+
+    const beforeSet = new Set( before );
+    const afterSet = new Set( after );
+    if ( beforeSet.size !== afterSet.size || ![...beforeSet].every( id => afterSet.has( id ) ) ) {
+        debug.log(`[SERVER] Shuffle proposal declined: not a valid permutation`);
+        const declineMessage = boardInfo( boardId, board, requestId, "not a permutation" );
+        ws.send(serialize(declineMessage));
+        logSentMessage(declineMessage.type, declineMessage, requestId, ws.clientId);
+        releaseBoard(boardId);
+        return;
+    }
+
+    // Accept: apply the permutation and persist
+    debug.log(`[SERVER] Shuffle proposal accepted: reordering pages`);
+    board.pageOrder = after;
+    touchBoard( boardId, board );
+    persistBoard( boardId );
+
+    const acceptMessage = boardInfo( boardId, board, requestId );
+
+    releaseBoard(boardId);
+
+    // Broadcast to all subscribers on this board (including proposer)
+    broadcastMessageToBoard(acceptMessage, boardId);
+    logSentMessage(acceptMessage.type, acceptMessage, requestId, ws.clientId);
+};
+
+// Handler for page registration
+messageHandlers[MESSAGES.CLIENT_TO_SERVER.REGISTER_PAGE.TYPE] = (ws, data, requestId) => {
+    if ( is_invalid_REGISTER_PAGE_message( data ) ) {
+        debug.log(`[SERVER] dropped register page request from `, ws.clientId); 
+        return;
+    }
+    const clientId = data[MESSAGES.CLIENT_TO_SERVER.REGISTER_PAGE.CLIENT_ID];
+    let boardId =    data[MESSAGES.CLIENT_TO_SERVER.REGISTER_PAGE.BOARD];
+    let pageId =     data[MESSAGES.CLIENT_TO_SERVER.REGISTER_PAGE.PAGE];
+    let delta =      data[MESSAGES.CLIENT_TO_SERVER.REGISTER_PAGE.DELTA];
+    if ( boardId && isUuid( boardId ) && pageId && isUuid( pageId ) ) {
+        registerPage(ws, boardId, clientId, pageId, delta, requestId);
+    } else {
+        debug.error( `Client ${clientId} wants to register invalid page ${pageId}` );
+    }
+};
+
+// Handler for page info
+messageHandlers[MESSAGES.CLIENT_TO_SERVER.PAGE_INFO_REQUEST.TYPE] = (ws, data, requestId) => {
+    if ( is_invalid_PAGE_INFO_REQUEST_message( data ) ) { 
+        debug.log(`[SERVER] dropped page info request from `, ws.clientId); 
+        return;
+    }
+    let boardId =    data[MESSAGES.CLIENT_TO_SERVER.PAGE_INFO_REQUEST.BOARD];
+    let pageId =     data[MESSAGES.CLIENT_TO_SERVER.PAGE_INFO_REQUEST.PAGE];
+    let delta =      data[MESSAGES.CLIENT_TO_SERVER.PAGE_INFO_REQUEST.DELTA];
+    let do_switch =  data[MESSAGES.CLIENT_TO_SERVER.PAGE_INFO_REQUEST.REGISTER];
+    if ( boardId && isUuid( boardId ) && pageId && isUuid( pageId ) ) {
+        describePage(ws, boardId, pageId, delta, do_switch, requestId);
+    } else {
+        debug.error( `Client ${clientId} wants to register invalid page ${pageId}` );
+    }
+};
+
+// Handler for board creation
+messageHandlers[MESSAGES.CLIENT_TO_SERVER.CREATE_BOARD.TYPE] = (ws, data, requestId) => {
+    if ( is_invalid_CREATE_BOARD_message( data ) ) { 
+        debug.log(`[SERVER] dropped create board request from `, ws.clientId); 
+        return;
+    }
+    const clientId = data[MESSAGES.CLIENT_TO_SERVER.CREATE_BOARD.CLIENT_ID];
+    let password = data[MESSAGES.CLIENT_TO_SERVER.CREATE_BOARD.PASSWORD];
+    
+    const owner = serverCredentialId(password);
+    if (!owner) {
+        debug.log(`[SERVER] Client ${clientId} failed authentication`);
+        return;
+    }
+    
+    debug.log(`[SERVER] Client ${clientId} is allowed to create boards`);
+    if (!mayAddBoard(owner)) {
+        declineBoardCreation(ws, "too many boards", requestId);
+        return;
+    }
+    const creator = data[MESSAGES.CLIENT_TO_SERVER.CREATE_BOARD.CREATOR] || '';
+    const templateId = data[MESSAGES.CLIENT_TO_SERVER.CREATE_BOARD.TEMPLATE];
+    if (!templateId) {
+        createNewBoard(ws, clientId, creator, owner, null, requestId);
+        return;
+    }
+    // any board can serve as template: its pages are public anyway
+    const template = useBoard(templateId);
+    if (!template) {
+        sendBoardRemoved(ws, templateId, requestId);
+        return;
+    }
+    if (overQuota(template.pageOrder.length, QUOTA_BOARD_PAGES)) {
+        declineBoardCreation(ws, "too many pages", requestId);
+    } else {
+        createNewBoard(ws, clientId, creator, owner, template, requestId);
+    }
+    releaseBoard(templateId);
+};
+
+// Handler for board export
+messageHandlers[MESSAGES.CLIENT_TO_SERVER.EXPORT_BOARD.TYPE] = (ws, data, requestId) => {
+    if ( is_invalid_EXPORT_BOARD_message( data ) ) {
+        debug.log(`[SERVER] dropped export board request from `, ws.clientId);
+        return;
+    }
+    const boardId = data[MESSAGES.CLIENT_TO_SERVER.EXPORT_BOARD.BOARD];
+    const password = data[MESSAGES.CLIENT_TO_SERVER.EXPORT_BOARD.PASSWORD];
+
+    const response = {
+        type: MESSAGES.SERVER_TO_CLIENT.BOARD_EXPORT.TYPE,
+        [MESSAGES.SERVER_TO_CLIENT.BOARD_EXPORT.BOARD]: boardId,
+        [MESSAGES.SERVER_TO_CLIENT.BOARD_EXPORT.REQUEST_ID]: requestId
+    };
+    const board = useBoard( boardId );
+    if ( !board ) {
+        response[MESSAGES.SERVER_TO_CLIENT.BOARD_EXPORT.REASON] = "unknown board";
+    } else if ( !mayAct( board, password, ROLE.OWNER ) ) {
+        // the archive holds the board's password hashes
+        response[MESSAGES.SERVER_TO_CLIENT.BOARD_EXPORT.REASON] = "unauthorized";
+    } else {
+        response[MESSAGES.SERVER_TO_CLIENT.BOARD_EXPORT.ARCHIVE] = exportBoard( boardId, board );
+    }
+    releaseBoard( boardId );
+    ws.send(serialize(response));
+    logSentMessage(response.type, response, requestId, ws.clientId);
+};
+
+// Handler for board import
+messageHandlers[MESSAGES.CLIENT_TO_SERVER.IMPORT_BOARD.TYPE] = (ws, data, requestId) => {
+    if ( is_invalid_IMPORT_BOARD_message( data ) ) {
+        debug.log(`[SERVER] dropped import board request from `, ws.clientId);
+        return;
+    }
+    const credential = data[MESSAGES.CLIENT_TO_SERVER.IMPORT_BOARD.CREDENTIAL];
+    const archive = data[MESSAGES.CLIENT_TO_SERVER.IMPORT_BOARD.ARCHIVE];
+    const keepUuid = data[MESSAGES.CLIENT_TO_SERVER.IMPORT_BOARD.KEEP_UUID] === true;
+
+    const response = {
+        type: MESSAGES.SERVER_TO_CLIENT.BOARD_IMPORTED.TYPE,
+        [MESSAGES.SERVER_TO_CLIENT.BOARD_IMPORTED.REQUEST_ID]: requestId
+    };
+    const owner = serverCredentialId( credential );
+    if ( !owner ) {
+        debug.log(`[SERVER] Client ${ws.clientId} failed authentication`);
+        response[MESSAGES.SERVER_TO_CLIENT.BOARD_IMPORTED.REASON] = "unauthorized";
+    } else if ( !mayAddBoard( owner ) ) {
+        response[MESSAGES.SERVER_TO_CLIENT.BOARD_IMPORTED.REASON] = "too many boards";
+    } else {
+        const result = importBoard( archive, keepUuid, owner );
+        if ( result.reason ) {
+            response[MESSAGES.SERVER_TO_CLIENT.BOARD_IMPORTED.REASON] = result.reason;
+        } else {
+            response[MESSAGES.SERVER_TO_CLIENT.BOARD_IMPORTED.BOARD] = result.boardId;
+            response[MESSAGES.SERVER_TO_CLIENT.BOARD_IMPORTED.PASSWORD] = result.passwd;
+        }
+    }
+    ws.send(serialize(response));
+    logSentMessage(response.type, response, requestId, ws.clientId);
+};
+
+// Handler for the board directory
+messageHandlers[MESSAGES.CLIENT_TO_SERVER.LIST_BOARDS.TYPE] = (ws, data, requestId) => {
+    if ( is_invalid_LIST_BOARDS_message( data ) ) {
+        debug.log(`[SERVER] dropped list boards request from `, ws.clientId);
+        return;
+    }
+    const credential = data[MESSAGES.CLIENT_TO_SERVER.LIST_BOARDS.CREDENTIAL];
+
+    const response = {
+        type: MESSAGES.SERVER_TO_CLIENT.BOARD_LIST.TYPE,
+        [MESSAGES.SERVER_TO_CLIENT.BOARD_LIST.REQUEST_ID]: requestId
+    };
+    const owner = serverCredentialId( credential );
+    if ( !owner ) {
+        debug.log(`[SERVER] Client ${ws.clientId} failed authentication`);
+        response[MESSAGES.SERVER_TO_CLIENT.BOARD_LIST.REASON] = "unauthorized";
+    } else {
+        response[MESSAGES.SERVER_TO_CLIENT.BOARD_LIST.BOARDS] = boardDirectory( ownerBoards.get( owner ) || [] );
+    }
+    ws.send(serialize(response));
+    logSentMessage(response.type, response, requestId, ws.clientId);
+};
+
+// Handler for the boards offered as templates for new boards
+messageHandlers[MESSAGES.CLIENT_TO_SERVER.LIST_TEMPLATES.TYPE] = (ws, data, requestId) => {
+    if ( is_invalid_LIST_TEMPLATES_message( data ) ) {
+        debug.log(`[SERVER] dropped list templates request from `, ws.clientId);
+        return;
+    }
+    const credential = data[MESSAGES.CLIENT_TO_SERVER.LIST_TEMPLATES.CREDENTIAL];
+
+    const response = {
+        type: MESSAGES.SERVER_TO_CLIENT.BOARD_LIST.TYPE,
+        [MESSAGES.SERVER_TO_CLIENT.BOARD_LIST.REQUEST_ID]: requestId
+    };
+    if ( !serverCredentialId( credential ) ) {
+        debug.log(`[SERVER] Client ${ws.clientId} failed authentication`);
+        response[MESSAGES.SERVER_TO_CLIENT.BOARD_LIST.REASON] = "unauthorized";
+    } else {
+        response[MESSAGES.SERVER_TO_CLIENT.BOARD_LIST.BOARDS] = boardDirectory( templateBoardIds() );
+    }
+    ws.send(serialize(response));
+    logSentMessage(response.type, response, requestId, ws.clientId);
+};
+
+// Handler for archiving a board (read-only) and reopening it
+messageHandlers[MESSAGES.CLIENT_TO_SERVER.ARCHIVE_BOARD.TYPE] = (ws, data, requestId) => {
+    if ( is_invalid_ARCHIVE_BOARD_message( data ) ) {
+        debug.log(`[SERVER] dropped archive board request from `, ws.clientId);
+        return;
+    }
+    const boardId = data[MESSAGES.CLIENT_TO_SERVER.ARCHIVE_BOARD.BOARD];
+    const credential = data[MESSAGES.CLIENT_TO_SERVER.ARCHIVE_BOARD.CREDENTIAL];
+    const archived = data[MESSAGES.CLIENT_TO_SERVER.ARCHIVE_BOARD.ARCHIVED];
+
+    const board = useBoard( boardId );
+    if ( !board ) {
+        sendBoardRemoved( ws, boardId, requestId );
+        return;
+    }
+
+    if ( !mayManageBoard( board, serverCredentialId( credential ) ) ) {
+        debug.log(`[SERVER] Archive board request declined: unauthorized`);
+        const declineMessage = boardInfo( boardId, board, requestId, "unauthorized" );
+        ws.send(serialize(declineMessage));
+        logSentMessage(declineMessage.type, declineMessage, requestId, ws.clientId);
+        releaseBoard(boardId);
+        return;
+    }
+
+    if ( archived !== isArchived( board ) ) {
+        board.meta = { ...boardMeta(board), [BOARD_META.ARCHIVED]: archived ? Date.now() : null };
+        markBoardDirty( boardId );
+        persistBoard( boardId );
+        debug.log(`[SERVER] Board ${boardId} ${archived ? 'archived' : 'reopened'}`);
+    }
+
+    const acceptMessage = boardInfo( boardId, board, requestId );
+    releaseBoard(boardId);
+    broadcastMessageToBoard(acceptMessage, boardId);
+    if ( ws.boardId !== boardId ) {
+        ws.send(serialize(acceptMessage));
+    }
+    logSentMessage(acceptMessage.type, acceptMessage, requestId, ws.clientId);
+};
+
+// Handler for board deletion
+messageHandlers[MESSAGES.CLIENT_TO_SERVER.DELETE_BOARD.TYPE] = (ws, data, requestId) => {
+    if ( is_invalid_DELETE_BOARD_message( data ) ) {
+        debug.log(`[SERVER] dropped delete board request from `, ws.clientId);
+        return;
+    }
+    const boardId = data[MESSAGES.CLIENT_TO_SERVER.DELETE_BOARD.BOARD];
+    const credential = data[MESSAGES.CLIENT_TO_SERVER.DELETE_BOARD.CREDENTIAL];
+
+    const board = useBoard( boardId );
+    if ( !board ) {
+        sendBoardRemoved( ws, boardId, requestId );
+        return;
+    }
+
+    if ( !mayManageBoard( board, serverCredentialId( credential ) ) ) {
+        debug.log(`[SERVER] Delete board request declined: unauthorized`);
+        const declineMessage = boardInfo( boardId, board, requestId, "unauthorized" );
+        ws.send(serialize(declineMessage));
+        logSentMessage(declineMessage.type, declineMessage, requestId, ws.clientId);
+        releaseBoard(boardId);
+        return;
+    }
+
+    releaseBoard(boardId);
+    removeBoard( boardId, board );
+
+    // everyone on the board (and the requester) learns that it is gone
+    const message = boardRemoved( boardId, requestId, "deleted" );
+    broadcastMessageToBoard( message, boardId );
+    if ( ws.boardId !== boardId ) {
+        ws.send(serialize(message));
+    }
+    logSentMessage(message.type, message, requestId, ws.clientId);
+    wss.clients.forEach(client => {
+        if ( client.boardId === boardId ) {
+            client.boardId = null;
+            client.pageId = null;
+            updatePresence( client );
+        }
+    });
+    delete presentations[boardId];
+};
+
+function pagesTransferred ( targetId, pageIds, requestId, reason ) {
+    const message = {
+        type: MESSAGES.SERVER_TO_CLIENT.PAGES_TRANSFERRED.TYPE,
+        [MESSAGES.SERVER_TO_CLIENT.PAGES_TRANSFERRED.BOARD]: targetId,
+        [MESSAGES.SERVER_TO_CLIENT.PAGES_TRANSFERRED.REQUEST_ID]: requestId
+    };
+    if ( reason ) {
+        message[MESSAGES.SERVER_TO_CLIENT.PAGES_TRANSFERRED.REASON] = reason;
+    } else {
+        message[MESSAGES.SERVER_TO_CLIENT.PAGES_TRANSFERRED.PAGES] = pageIds;
+    }
+    return message;
+}
+
+// Handler for copying or moving pages into another board
+messageHandlers[MESSAGES.CLIENT_TO_SERVER.TRANSFER_PAGES.TYPE] = (ws, data, requestId) => {
+    if ( is_invalid_TRANSFER_PAGES_message( data ) ) {
+        debug.log(`[SERVER] dropped transfer pages request from `, ws.clientId);
+        return;
+    }
+    const boardId = data[MESSAGES.CLIENT_TO_SERVER.TRANSFER_PAGES.BOARD];
+    const password = data[MESSAGES.CLIENT_TO_SERVER.TRANSFER_PAGES.PASSWORD];
+    const pageIds = data[MESSAGES.CLIENT_TO_SERVER.TRANSFER_PAGES.PAGES];
+    const targetId = data[MESSAGES.CLIENT_TO_SERVER.TRANSFER_PAGES.TARGET_BOARD];
+    const targetPassword = data[MESSAGES.CLIENT_TO_SERVER.TRANSFER_PAGES.TARGET_PASSWORD];
+    const position = data[MESSAGES.CLIENT_TO_SERVER.TRANSFER_PAGES.POSITION];
+    const move = data[MESSAGES.CLIENT_TO_SERVER.TRANSFER_PAGES.MOVE];
+
+    const board = useBoard( boardId );
+    if ( !board ) {
+        sendBoardRemoved( ws, boardId, requestId );
+        return;
+    }
+    const target = useBoard( targetId );
+    if ( !target ) {
+        releaseBoard( boardId );
+        sendBoardRemoved( ws, targetId, requestId );
+        return;
+    }
+
+    let reason = null;
+    if ( !mayAct( board, password, ROLE.OWNER ) ) {
+        reason = "unauthorized";
+    } else if ( !mayAct( target, targetPassword, ROLE.OWNER ) ) {
+        reason = "unauthorized for target board";
+    } else if ( isArchived( target ) || ( move && isArchived( board ) ) ) {
+        reason = "archived";
+    } else if ( move && boardId === targetId ) {
+        reason = "cannot move pages within a board";
+    } else if ( !pageIds.every( pageId => board.pageOrder.includes( pageId ) ) ) {
+        reason = "page is not on this board";
+    } else if ( position !== undefined && position > target.pageOrder.length ) {
+        reason = "invalid position";
+    } else if ( overQuota( target.pageOrder.length + pageIds.length, QUOTA_BOARD_PAGES ) ) {
+        reason = "too many pages";
+    }
+    if ( reason ) {
+        debug.log(`[SERVER] Transfer pages request declined: ${reason}`);
+        const declineMessage = pagesTransferred( targetId, null, requestId, reason );
+        ws.send(serialize(declineMessage));
+        logSentMessage(declineMessage.type, declineMessage, requestId, ws.clientId);
+        releaseBoard( targetId );
+        releaseBoard( boardId );
+        return;
+    }
+
+    debug.log(`[SERVER] ${move ? 'Move' : 'Copy'} ${pageIds.length} pages from board ${boardId} to board ${targetId}`);
+    let transferredIds;
+    storage.transaction( () => {
+        transferredIds = transferPages( board, pageIds, target, position ?? target.pageOrder.length, move );
+        touchBoard( targetId, target );
+        persistBoard( targetId );
+        if ( move ) {
+            touchBoard( boardId, board );
+            persistBoard( boardId );
+        }
+    });
+
+    const message = pagesTransferred( targetId, transferredIds, requestId );
+    ws.send(serialize(message));
+    logSentMessage(message.type, message, requestId, ws.clientId);
+
+    // both boards may have changed their page order
+    broadcastBoardInfo( targetId, target );
+    sendPingToBoard( targetId );
+    if ( move ) {
+        broadcastBoardInfo( boardId, board );
+        sendPingToBoard( boardId );
+    }
+    releaseBoard( targetId );
+    releaseBoard( boardId );
+};
+
+function bookmarksMessage ( pageId, bookmarks, requestId, reason ) {
+    const message = {
+        type: MESSAGES.SERVER_TO_CLIENT.BOOKMARKS.TYPE,
+        [MESSAGES.SERVER_TO_CLIENT.BOOKMARKS.PAGE]: pageId,
+        [MESSAGES.SERVER_TO_CLIENT.BOOKMARKS.BOOKMARKS]: bookmarks,
+        [MESSAGES.SERVER_TO_CLIENT.BOOKMARKS.REQUEST_ID]: requestId
+    };
+    if ( reason ) {
+        message[MESSAGES.SERVER_TO_CLIENT.BOOKMARKS.REASON] = reason;
+    }
+    return message;
+}
+
+// Handler for listing the bookmarks of a page; viewers may see them, too
+messageHandlers[MESSAGES.CLIENT_TO_SERVER.BOOKMARKS_REQUEST.TYPE] = (ws, data, requestId) => {
+    if ( is_invalid_BOOKMARKS_REQUEST_message( data ) ) {
+        debug.log(`[SERVER] dropped bookmarks request from `, ws.clientId);
+        return;
+    }
+    const boardId = data[MESSAGES.CLIENT_TO_SERVER.BOOKMARKS_REQUEST.BOARD];
+    const pageId = data[MESSAGES.CLIENT_TO_SERVER.BOOKMARKS_REQUEST.PAGE];
+
+    const board = useBoard( boardId );
+    if ( !board ) {
+        sendBoardRemoved( ws, boardId, requestId );
+        return;
+    }
+    let message;
+    if ( !board.pageOrder.includes( pageId ) ) {
+        message = bookmarksMessage( pageId, [], requestId, "page is not on this board" );
+    } else {
+        const page = usePage( pageId, false );
+        message = bookmarksMessage( pageId, page ? pageBookmarks( page ) : [], requestId );
+        releasePage( pageId );
+    }
+    releaseBoard( boardId );
+    ws.send(serialize(message));
+    logSentMessage(message.type, message, requestId, ws.clientId);
+};
+
+// Handler for adding, renaming and removing bookmarks
+messageHandlers[MESSAGES.CLIENT_TO_SERVER.SET_BOOKMARK.TYPE] = (ws, data, requestId) => {
+    if ( is_invalid_SET_BOOKMARK_message( data ) ) {
+        debug.log(`[SERVER] dropped set bookmark request from `, ws.clientId);
+        return;
+    }
+    const boardId = data[MESSAGES.CLIENT_TO_SERVER.SET_BOOKMARK.BOARD];
+    const password = data[MESSAGES.CLIENT_TO_SERVER.SET_BOOKMARK.PASSWORD];
+    const pageId = data[MESSAGES.CLIENT_TO_SERVER.SET_BOOKMARK.PAGE];
+    const hash = data[MESSAGES.CLIENT_TO_SERVER.SET_BOOKMARK.HASH];
+    const label = data[MESSAGES.CLIENT_TO_SERVER.SET_BOOKMARK.LABEL].trim();
+
+    const board = useBoard( boardId );
+    if ( !board ) {
+        sendBoardRemoved( ws, boardId, requestId );
+        return;
+    }
+    const page = board.pageOrder.includes( pageId ) ? usePage( pageId, false ) : null;
+
+    let reason = null;
+    if ( !mayAct( board, password, ROLE.EDITOR ) ) {
+        reason = "unauthorized";
+    } else if ( isArchived( board ) ) {
+        reason = "archived";
+    } else if ( !page ) {
+        reason = "page is not on this board";
+    } else if ( !page.hashes.includes( hash ) ) {
+        reason = "out of sync";
+    }
+    if ( reason ) {
+        debug.log(`[SERVER] Set bookmark request declined: ${reason}`);
+        const declineMessage = bookmarksMessage( pageId, page ? pageBookmarks( page ) : [], requestId, reason );
+        ws.send(serialize(declineMessage));
+        logSentMessage(declineMessage.type, declineMessage, requestId, ws.clientId);
+        if ( page ) {
+            releasePage( pageId );
+        }
+        releaseBoard( boardId );
+        return;
+    }
+
+    setBookmark( page, hash, label );
+    persistPage( pageId );
+    touchBoard( boardId, board );
+    const message = bookmarksMessage( pageId, pageBookmarks( page ), requestId );
+    releasePage( pageId );
+    releaseBoard( boardId );
+
+    // everyone looking at the page sees the new list
+    ws.send(serialize(message));
+    logSentMessage(message.type, message, requestId, ws.clientId);
+    broadcastMessageToPage( message, pageId, ws );
+};
+
+// Handler for asking who drew what is on a page; viewers may ask, too
+messageHandlers[MESSAGES.CLIENT_TO_SERVER.ATTRIBUTION_REQUEST.TYPE] = (ws, data, requestId) => {
+    if ( is_invalid_ATTRIBUTION_REQUEST_message( data ) ) {
+        debug.log(`[SERVER] dropped attribution request from `, ws.clientId);
+        return;
+    }
+    const boardId = data[MESSAGES.CLIENT_TO_SERVER.ATTRIBUTION_REQUEST.BOARD];
+    const pageId = data[MESSAGES.CLIENT_TO_SERVER.ATTRIBUTION_REQUEST.PAGE];
+
+    const board = useBoard( boardId );
+    if ( !board ) {
+        sendBoardRemoved( ws, boardId, requestId );
+        return;
+    }
+    const message = {
+        type: MESSAGES.SERVER_TO_CLIENT.ATTRIBUTION.TYPE,
+        [MESSAGES.SERVER_TO_CLIENT.ATTRIBUTION.PAGE]: pageId,
+        [MESSAGES.SERVER_TO_CLIENT.ATTRIBUTION.YOU]: authorPseudonym( ws.clientId ),
+        [MESSAGES.SERVER_TO_CLIENT.ATTRIBUTION.REQUEST_ID]: requestId
+    };
+    const page = board.pageOrder.includes( pageId ) ? usePage( pageId, false ) : null;
+    if ( !page ) {
+        message[MESSAGES.SERVER_TO_CLIENT.ATTRIBUTION.REASON] = "page is not on this board";
+    } else {
+        message[MESSAGES.SERVER_TO_CLIENT.ATTRIBUTION.HASH] = page.hashes[page.present];
+        message[MESSAGES.SERVER_TO_CLIENT.ATTRIBUTION.ELEMENTS] = elementAuthors( page );
+        releasePage( pageId );
+    }
+    releaseBoard( boardId );
+    ws.send(serialize(message));
+    logSentMessage(message.type, message, requestId, ws.clientId);
+};
+
+// presence: who is on a board, on which page, and where their pointer is.
+// It lives on the connections and is never stored. Participants are known
+// by an id made up per connection, never by their client id.
+function participantId( ws ) {
+    if ( !ws.participantId ) {
+        ws.participantId = generateSecureUuid();
+    }
+    return ws.participantId;
+}
+
+function participant( client ) {
+    const presence = client.presence && client.presence.board === client.boardId ? client.presence : null;
+    return {
+        [PARTICIPANT.ID]: participantId( client ),
+        [PARTICIPANT.NAME]: presence ? presence.name : '',
+        [PARTICIPANT.COLOR]: presence ? presence.color : null,
+        [PARTICIPANT.PAGE]: client.pageId || null,
+        [PARTICIPANT.ROLE]: presence ? presence.role : ROLE.VIEWER
+    };
+}
+
+// every client on the board gets the list, marked with its own id
+function broadcastParticipants( boardId ) {
+    const members = [];
+    wss.clients.forEach(client => {
+        if (client.readyState === WebSocket.OPEN && client.boardId === boardId) {
+            members.push( client );
+        }
+    });
+    const participants = members.map( participant );
+    for ( const client of members ) {
+        const message = {
+            type: MESSAGES.SERVER_TO_CLIENT.PARTICIPANTS.TYPE,
+            [MESSAGES.SERVER_TO_CLIENT.PARTICIPANTS.BOARD]: boardId,
+            [MESSAGES.SERVER_TO_CLIENT.PARTICIPANTS.PARTICIPANTS]: participants,
+            [MESSAGES.SERVER_TO_CLIENT.PARTICIPANTS.YOU]: client.participantId
+        };
+        client.send( serialize( message ) );
+    }
+}
+
+// called after every message and when a connection closes: tell the boards
+// concerned if the client came, left, or went to another page
+function updatePresence( ws ) {
+    const boardId = ws.readyState === WebSocket.OPEN && ws.boardId || null;
+    const pageId = boardId && ws.pageId || null;
+    const seen = ws.presenceSeen || { board: null, page: null };
+    if ( seen.board === boardId && seen.page === pageId ) {
+        return;
+    }
+    ws.presenceSeen = { board: boardId, page: pageId };
+    if ( seen.board && seen.board !== boardId ) {
+        broadcastParticipants( seen.board );
+        endPresentation( seen.board, ws );
+    }
+    if ( boardId ) {
+        broadcastParticipants( boardId );
+    }
+    // newcomers learn who presents and what
+    if ( boardId && seen.board !== boardId && presentations[boardId] ) {
+        const message = presentationMessage( boardId );
+        ws.send( serialize( message ) );
+        logSentMessage( message.type, message, 'N/A', ws.clientId );
+    }
+}
+
+function presentationMessage( boardId, requestId, reason ) {
+    const presentation = presentations[boardId];
+    const message = {
+        type: MESSAGES.SERVER_TO_CLIENT.PRESENTATION.TYPE,
+        [MESSAGES.SERVER_TO_CLIENT.PRESENTATION.BOARD]: boardId,
+        [MESSAGES.SERVER_TO_CLIENT.PRESENTATION.PRESENTER]: presentation ? participantId( presentation.ws ) : null,
+        [MESSAGES.SERVER_TO_CLIENT.PRESENTATION.VIEW]: presentation ? presentation.view : null
+    };
+    if ( requestId ) {
+        message[MESSAGES.SERVER_TO_CLIENT.PRESENTATION.REQUEST_ID] = requestId;
+    }
+    if ( reason ) {
+        message[MESSAGES.SERVER_TO_CLIENT.PRESENTATION.REASON] = reason;
+    }
+    return message;
+}
+
+// the presenter stopped, left the board or went away
+function endPresentation( boardId, ws ) {
+    if ( presentations[boardId] && presentations[boardId].ws === ws ) {
+        delete presentations[boardId];
+        broadcastMessageToBoard( presentationMessage( boardId ), boardId );
+    }
+}
+
+// Handler for a client announcing its name and colour; it is listed with the
+// role its password gives. The hash the password matched is kept to tell the
+// role again when tokens are revoked or the password is rotated.
+messageHandlers[MESSAGES.CLIENT_TO_SERVER.PRESENCE.TYPE] = (ws, data, requestId) => {
+    if ( is_invalid_PRESENCE_message( data ) ) {
+        debug.log(`[SERVER] dropped presence message from `, ws.clientId);
+        return;
+    }
+    const boardId = data[MESSAGES.CLIENT_TO_SERVER.PRESENCE.BOARD];
+    if ( ws.boardId !== boardId ) {
+        debug.log(`[SERVER] Client ${ws.clientId} not registered for board ${boardId}, dropping presence message`);
+        return;
+    }
+    const board = useBoard( boardId );
+    if ( !board ) {
+        debug.log(`[SERVER] Cannot find board ${boardId}`);
+        return;
+    }
+    const grant = passwordGrant( board, data[MESSAGES.CLIENT_TO_SERVER.PRESENCE.PASSWORD] );
+    ws.presence = {
+        board: boardId,
+        name: data[MESSAGES.CLIENT_TO_SERVER.PRESENCE.NAME].trim(),
+        color: data[MESSAGES.CLIENT_TO_SERVER.PRESENCE.COLOR],
+        grant: grant,
+        role: grantedRole( board, grant )
+    };
+    releaseBoard( boardId );
+    broadcastParticipants( boardId );
+};
+
+// Handler for pointer positions, relayed to the others on the page. Clients
+// send them at a limited rate; what comes faster is dropped, except for the
+// message that hides the pointer.
+messageHandlers[MESSAGES.CLIENT_TO_SERVER.CURSOR.TYPE] = (ws, data, requestId) => {
+    if ( is_invalid_CURSOR_message( data ) ) {
+        return;
+    }
+    const pageId = data[MESSAGES.CLIENT_TO_SERVER.CURSOR.PAGE];
+    if ( !ws.boardId || ws.pageId !== pageId ) {
+        return;
+    }
+    const x = data[MESSAGES.CLIENT_TO_SERVER.CURSOR.X];
+    const y = data[MESSAGES.CLIENT_TO_SERVER.CURSOR.Y];
+    const now = Date.now();
+    if ( x !== null && now - ( ws.cursorSent || 0 ) < cursorInterval ) {
+        return;
+    }
+    ws.cursorSent = now;
+    const message = {
+        type: MESSAGES.SERVER_TO_CLIENT.CURSOR.TYPE,
+        [MESSAGES.SERVER_TO_CLIENT.CURSOR.PARTICIPANT]: participantId( ws ),
+        [MESSAGES.SERVER_TO_CLIENT.CURSOR.PAGE]: pageId,
+        [MESSAGES.SERVER_TO_CLIENT.CURSOR.X]: x,
+        [MESSAGES.SERVER_TO_CLIENT.CURSOR.Y]: y
+    };
+    broadcastMessageToPage( message, pageId, ws );
+};
+
+// Handler for laser pointer strokes: editors point at things for everybody
+// on the page. The strokes never touch the page.
+messageHandlers[MESSAGES.CLIENT_TO_SERVER.LASER.TYPE] = (ws, data, requestId) => {
+    if ( is_invalid_LASER_message( data ) ) {
+        return;
+    }
+    const pageId = data[MESSAGES.CLIENT_TO_SERVER.LASER.PAGE];
+    if ( !ws.boardId || ws.pageId !== pageId ) {
+        return;
+    }
+    if ( !hasRole( participant( ws )[PARTICIPANT.ROLE], ROLE.EDITOR ) ) {
+        debug.log(`[SERVER] dropped laser stroke from viewer `, ws.clientId);
+        return;
+    }
+    const message = {
+        type: MESSAGES.SERVER_TO_CLIENT.LASER.TYPE,
+        [MESSAGES.SERVER_TO_CLIENT.LASER.PARTICIPANT]: participantId( ws ),
+        [MESSAGES.SERVER_TO_CLIENT.LASER.PAGE]: pageId,
+        [MESSAGES.SERVER_TO_CLIENT.LASER.STROKE]: data[MESSAGES.CLIENT_TO_SERVER.LASER.STROKE],
+        [MESSAGES.SERVER_TO_CLIENT.LASER.POINTS]: data[MESSAGES.CLIENT_TO_SERVER.LASER.POINTS]
+    };
+    broadcastMessageToPage( message, pageId, ws );
+};
+
+// Handler for strokes in progress: editors show what they are drawing
+// before the draw action is proposed. Like laser strokes, the pieces are
+// relayed only.
+messageHandlers[MESSAGES.CLIENT_TO_SERVER.STROKE_PROGRESS.TYPE] = (ws, data, requestId) => {
+    if ( is_invalid_STROKE_PROGRESS_message( data ) ) {
+        return;
+    }
+    const pageId = data[MESSAGES.CLIENT_TO_SERVER.STROKE_PROGRESS.PAGE];
+    if ( !ws.boardId || ws.pageId !== pageId ) {
+        return;
+    }
+    if ( !hasRole( participant( ws )[PARTICIPANT.ROLE], ROLE.EDITOR ) ) {
+        debug.log(`[SERVER] dropped stroke in progress from viewer `, ws.clientId);
+        return;
+    }
+    const message = {
+        type: MESSAGES.SERVER_TO_CLIENT.STROKE_PROGRESS.TYPE,
+        [MESSAGES.SERVER_TO_CLIENT.STROKE_PROGRESS.PARTICIPANT]: participantId( ws ),
+        [MESSAGES.SERVER_TO_CLIENT.STROKE_PROGRESS.PAGE]: pageId,
+        [MESSAGES.SERVER_TO_CLIENT.STROKE_PROGRESS.ACTION]: data[MESSAGES.CLIENT_TO_SERVER.STROKE_PROGRESS.ACTION],
+        [MESSAGES.SERVER_TO_CLIENT.STROKE_PROGRESS.FROM]: data[MESSAGES.CLIENT_TO_SERVER.STROKE_PROGRESS.FROM],
+        [MESSAGES.SERVER_TO_CLIENT.STROKE_PROGRESS.POINTS]: data[MESSAGES.CLIENT_TO_SERVER.STROKE_PROGRESS.POINTS]
+    };
+    if ( message[MESSAGES.SERVER_TO_CLIENT.STROKE_PROGRESS.FROM] === 0 ) {
+        message[MESSAGES.SERVER_TO_CLIENT.STROKE_PROGRESS.STROKE] = data[MESSAGES.CLIENT_TO_SERVER.STROKE_PROGRESS.STROKE];
+    }
+    broadcastMessageToPage( message, pageId, ws );
+};
+
+// Handler for editors becoming presenter, taking over from the previous
+// one, or stopping
+messageHandlers[MESSAGES.CLIENT_TO_SERVER.PRESENT.TYPE] = (ws, data, requestId) => {
+    if ( is_invalid_PRESENT_message( data ) ) {
+        debug.log(`[SERVER] dropped present request from `, ws.clientId);
+        return;
+    }
+    const boardId = data[MESSAGES.CLIENT_TO_SERVER.PRESENT.BOARD];
+    if ( ws.boardId !== boardId ) {
+        debug.log(`[SERVER] Client ${ws.clientId} not registered for board ${boardId}, dropping present request`);
+        return;
+    }
+    if ( !data[MESSAGES.CLIENT_TO_SERVER.PRESENT.ACTIVE] ) {
+        endPresentation( boardId, ws );
+        return;
+    }
+    const board = useBoard( boardId );
+    if ( !board ) {
+        debug.log(`[SERVER] Cannot find board ${boardId}`);
+        return;
+    }
+    const authorized = mayAct( board, data[MESSAGES.CLIENT_TO_SERVER.PRESENT.PASSWORD], ROLE.EDITOR );
+    releaseBoard( boardId );
+    if ( !authorized ) {
+        debug.log(`[SERVER] Present request declined: unauthorized`);
+        const declineMessage = presentationMessage( boardId, requestId, "unauthorized" );
+        ws.send(serialize(declineMessage));
+        logSentMessage(declineMessage.type, declineMessage, requestId, ws.clientId);
+        return;
+    }
+    presentations[boardId] = { ws: ws, view: null };
+    const message = presentationMessage( boardId );
+    ws.send(serialize( { ...message, [MESSAGES.SERVER_TO_CLIENT.PRESENTATION.REQUEST_ID]: requestId } ));
+    broadcastMessageToBoard( message, boardId, ws );
+};
+
+// Handler for the presenter's view, relayed to everyone else on the board;
+// the clients decide whether to follow
+messageHandlers[MESSAGES.CLIENT_TO_SERVER.VIEW.TYPE] = (ws, data, requestId) => {
+    if ( is_invalid_VIEW_message( data ) ) {
+        return;
+    }
+    const boardId = data[MESSAGES.CLIENT_TO_SERVER.VIEW.BOARD];
+    const presentation = presentations[boardId];
+    if ( !presentation || presentation.ws !== ws ) {
+        return;
+    }
+    const view = data[MESSAGES.CLIENT_TO_SERVER.VIEW.VIEW];
+    const board = useBoard( boardId );
+    const onBoard = board && board.pageOrder.includes( view[VIEW.PAGE] );
+    releaseBoard( boardId );
+    if ( !onBoard ) {
+        return;
+    }
+    presentation.view = {
+        [VIEW.PAGE]: view[VIEW.PAGE],
+        [VIEW.X]: view[VIEW.X],
+        [VIEW.Y]: view[VIEW.Y],
+        [VIEW.WIDTH]: view[VIEW.WIDTH],
+        [VIEW.HEIGHT]: view[VIEW.HEIGHT],
+        [VIEW.LAYERS]: view[VIEW.LAYERS]
+    };
+    broadcastMessageToBoard( presentationMessage( boardId ), boardId, ws );
+};
+
+// Handler for board metadata changes
+messageHandlers[MESSAGES.CLIENT_TO_SERVER.UPDATE_BOARD_META.TYPE] = (ws, data, requestId) => {
+    if ( is_invalid_UPDATE_BOARD_META_message( data ) ) {
+        debug.log(`[SERVER] dropped board metadata update from `, ws.clientId);
+        return;
+    }
+    const boardId = data[MESSAGES.CLIENT_TO_SERVER.UPDATE_BOARD_META.BOARD];
+    const password = data[MESSAGES.CLIENT_TO_SERVER.UPDATE_BOARD_META.PASSWORD];
+    const meta = data[MESSAGES.CLIENT_TO_SERVER.UPDATE_BOARD_META.META];
+
+    const board = useBoard( boardId );
+    if ( !board ) {
+        debug.log(`[SERVER] Cannot find board ${boardId}`);
+        return;
+    }
+
+    if ( !mayAct( board, password, ROLE.OWNER ) ) {
+        debug.log(`[SERVER] Board metadata update declined: unauthorized`);
+        const declineMessage = boardInfo( boardId, board, requestId, "unauthorized" );
+        ws.send(serialize(declineMessage));
+        logSentMessage(declineMessage.type, declineMessage, requestId, ws.clientId);
+        releaseBoard(boardId);
+        return;
+    }
+
+    if ( isArchived( board ) ) {
+        debug.log(`[SERVER] Board metadata update declined: board is archived`);
+        const declineMessage = boardInfo( boardId, board, requestId, "archived" );
+        ws.send(serialize(declineMessage));
+        logSentMessage(declineMessage.type, declineMessage, requestId, ws.clientId);
+        releaseBoard(boardId);
+        return;
+    }
+
+    board.meta = { ...boardMeta(board), ...meta };
+    touchBoard( boardId, board );
+    persistBoard( boardId );
+
+    // Broadcast to all subscribers on this board (including the editor)
+    const acceptMessage = boardInfo( boardId, board, requestId );
+    releaseBoard(boardId);
+    broadcastMessageToBoard(acceptMessage, boardId);
+    if ( ws.boardId !== boardId ) {
+        ws.send(serialize(acceptMessage));
+    }
+    logSentMessage(acceptMessage.type, acceptMessage, requestId, ws.clientId);
+};
+
+function tokensMessage ( boardId, tokens, requestId, reason ) {
+    const message = {
+        type: MESSAGES.SERVER_TO_CLIENT.TOKENS.TYPE,
+        [MESSAGES.SERVER_TO_CLIENT.TOKENS.BOARD]: boardId,
+        [MESSAGES.SERVER_TO_CLIENT.TOKENS.TOKENS]: tokens,
+        [MESSAGES.SERVER_TO_CLIENT.TOKENS.REQUEST_ID]: requestId
+    };
+    if ( reason ) {
+        message[MESSAGES.SERVER_TO_CLIENT.TOKENS.REASON] = reason;
+    }
+    return message;
+}
+
+// what owners learn about a board's tokens: everything but the passwords
+function listedTokens( board ) {
+    return boardTokens( board ).map( (token) => ({
+        [ACCESS_TOKEN.ID]: token[ACCESS_TOKEN.ID],
+        [ACCESS_TOKEN.LABEL]: token[ACCESS_TOKEN.LABEL],
+        [ACCESS_TOKEN.ROLE]: token[ACCESS_TOKEN.ROLE],
+        [ACCESS_TOKEN.CREATED]: token[ACCESS_TOKEN.CREATED]
+    }) );
+}
+
+// Tell everyone on the board their role again after a password stopped
+// working. Without the editor role, a presenter stops presenting. Returns the
+// clients whose role went down.
+function refreshRoles( boardId, board ) {
+    const demoted = [];
+    wss.clients.forEach(client => {
+        if ( client.presence && client.presence.board === boardId ) {
+            const role = grantedRole( board, client.presence.grant );
+            if ( !hasRole( role, client.presence.role ) ) {
+                demoted.push( client );
+            }
+            client.presence.role = role;
+        }
+    });
+    const presentation = presentations[boardId];
+    if ( presentation && !hasRole( participant( presentation.ws )[PARTICIPANT.ROLE], ROLE.EDITOR ) ) {
+        endPresentation( boardId, presentation.ws );
+    }
+    broadcastParticipants( boardId );
+    return demoted;
+}
+
+// Handler for listing a board's access tokens
+messageHandlers[MESSAGES.CLIENT_TO_SERVER.TOKENS_REQUEST.TYPE] = (ws, data, requestId) => {
+    if ( is_invalid_TOKENS_REQUEST_message( data ) ) {
+        debug.log(`[SERVER] dropped tokens request from `, ws.clientId);
+        return;
+    }
+    const boardId = data[MESSAGES.CLIENT_TO_SERVER.TOKENS_REQUEST.BOARD];
+    const password = data[MESSAGES.CLIENT_TO_SERVER.TOKENS_REQUEST.PASSWORD];
+
+    const board = useBoard( boardId );
+    if ( !board ) {
+        sendBoardRemoved( ws, boardId, requestId );
+        return;
+    }
+    const message = mayAct( board, password, ROLE.OWNER )
+          ? tokensMessage( boardId, listedTokens( board ), requestId )
+          : tokensMessage( boardId, [], requestId, "unauthorized" );
+    releaseBoard( boardId );
+    ws.send(serialize(message));
+    logSentMessage(message.type, message, requestId, ws.clientId);
+};
+
+// Handler for issuing an access token; its password is in the answer and
+// nowhere else
+messageHandlers[MESSAGES.CLIENT_TO_SERVER.CREATE_TOKEN.TYPE] = (ws, data, requestId) => {
+    if ( is_invalid_CREATE_TOKEN_message( data ) ) {
+        debug.log(`[SERVER] dropped create token request from `, ws.clientId);
         return;
     }
-    const password = data[MESSAGES.CLIENT_TO_SERVER.SHUFFLE_PROPOSAL.PASSWORD];
-    const before = data[MESSAGES.CLIENT_TO_SERVER.SHUFFLE_PROPOSAL.BEFORE];
-    const after = data[MESSAGES.CLIENT_TO_SERVER.SHUFFLE_PROPOSAL.AFTER];
+    const boardId = data[MESSAGES.CLIENT_TO_SERVER.CREATE_TOKEN.BOARD];
+    const password = data[MESSAGES.CLIENT_TO_SERVER.CREATE_TOKEN.PASSWORD];
+    const label = data[MESSAGES.CLIENT_TO_SERVER.CREATE_TOKEN.LABEL].trim();
+    const role = data[MESSAGES.CLIENT_TO_SERVER.CREATE_TOKEN.ROLE];
 
-    const board = useBoard( boardId, false );
+    const board = useBoard( boardId );
     if ( !board ) {
-        debug.log(`[SERVER] Cannot find board ${boardId}`);
-        releaseBoard(boardId);
+        sendBoardRemoved( ws, boardId, requestId );
         return;
     }
 
-    // Password check
-    if ( !password || password != board.passwd ) {
-        debug.log(`[SERVER] Shuffle proposal declined: unauthorized`);
-        // decline: send BOARD_INFO with current state
-        const declineMessage = {
-            type: MESSAGES.SERVER_TO_CLIENT.BOARD_INFO.TYPE,
-            [MESSAGES.SERVER_TO_CLIENT.BOARD_INFO.BOARD]: boardId,
-            [MESSAGES.SERVER_TO_CLIENT.BOARD_INFO.PAGES]: board.pageOrder,
-            [MESSAGES.SERVER_TO_CLIENT.BOARD_INFO.REQUEST_ID]: requestId
-        };
+    let reason = null;
+    if ( !mayAct( board, password, ROLE.OWNER ) ) {
+        reason = "unauthorized";
+    } else if ( boardTokens( board ).length >= ACCESS_TOKEN.MAX_TOKENS ) {
+        reason = "too many tokens";
+    }
+    if ( reason ) {
+        debug.log(`[SERVER] Create token request declined: ${reason}`);
+        const declineMessage = tokensMessage( boardId, reason === "unauthorized" ? [] : listedTokens( board ), requestId, reason );
         ws.send(serialize(declineMessage));
         logSentMessage(declineMessage.type, declineMessage, requestId, ws.clientId);
-        releaseBoard(boardId);
+        releaseBoard( boardId );
         return;
     }
 
-    // Sync check: client's BEFORE must match current state
-    if ( !isEqual( before, board.pageOrder ) ) {
-        debug.log(`[SERVER] Shuffle proposal declined: out of sync`);
-        // decline: send BOARD_INFO with current state
-        const declineMessage = {
-            type: MESSAGES.SERVER_TO_CLIENT.BOARD_INFO.TYPE,
-            [MESSAGES.SERVER_TO_CLIENT.BOARD_INFO.BOARD]: boardId,
-            [MESSAGES.SERVER_TO_CLIENT.BOARD_INFO.PAGES]: board.pageOrder,
-            [MESSAGES.SERVER_TO_CLIENT.BOARD_INFO.REQUEST_ID]: requestId
-        };
-        ws.send(serialize(declineMessage));
-        logSentMessage(declineMessage.type, declineMessage, requestId, ws.clientId);
-        releaseBoard(boardId);
+    let key;
+    do {
+        key = generatePasswd().slice( 0, 8 );
+    } while ( boardTokens( board ).some( token => token.key === key ) );
+    const tokenPassword = `${key}-${generatePasswd()}`;
+    board.tokens = [ ...boardTokens( board ), {
+        [ACCESS_TOKEN.ID]: generateSecureUuid(),
+        [ACCESS_TOKEN.LABEL]: label,
+        [ACCESS_TOKEN.ROLE]: role,
+        [ACCESS_TOKEN.CREATED]: Date.now(),
+        key: key,
+        passwdHash: hashPassword( tokenPassword )
+    } ];
+    markBoardDirty( boardId );
+    persistBoard( boardId );
+    debug.log(`[SERVER] Issued ${role} token on board ${boardId}`);
+
+    const message = tokensMessage( boardId, listedTokens( board ), requestId );
+    releaseBoard( boardId );
+    ws.send(serialize( { ...message, [MESSAGES.SERVER_TO_CLIENT.TOKENS.PASSWORD]: tokenPassword } ));
+    logSentMessage(message.type, message, requestId, ws.clientId);
+};
+
+// Handler for revoking an access token; whoever announced themselves with it
+// views from then on
+messageHandlers[MESSAGES.CLIENT_TO_SERVER.REVOKE_TOKEN.TYPE] = (ws, data, requestId) => {
+    if ( is_invalid_REVOKE_TOKEN_message( data ) ) {
+        debug.log(`[SERVER] dropped revoke token request from `, ws.clientId);
         return;
     }
+    const boardId = data[MESSAGES.CLIENT_TO_SERVER.REVOKE_TOKEN.BOARD];
+    const password = data[MESSAGES.CLIENT_TO_SERVER.REVOKE_TOKEN.PASSWORD];
+    const tokenId = data[MESSAGES.CLIENT_TO_SERVER.REVOKE_TOKEN.TOKEN];
 
-    // Permutation check: AFTER must contain the same UUIDs
-    if ( before.length !== after.length ) {
-        debug.log(`[SERVER] Shuffle proposal declined: length mismatch`);
-        const declineMessage = {
-            type: MESSAGES.SERVER_TO_CLIENT.BOARD_INFO.TYPE,
-            [MESSAGES.SERVER_TO_CLIENT.BOARD_INFO.BOARD]: boardId,
-            [MESSAGES.SERVER_TO_CLIENT.BOARD_INFO.PAGES]: board.pageOrder,
-            [MESSAGES.SERVER_TO_CLIENT.BOARD_INFO.REQUEST_ID]: requestId
-        };
-        ws.send(serialize(declineMessage));
-        logSentMessage(declineMessage.type, declineMessage, requestId, ws.clientId);
-        releaseBoard(boardId);
+    const board = useBoard( boardId );
+    if ( !board ) {
+        sendBoardRemoved( ws, boardId, requestId );
         return;
     }
 
-    const beforeSet = new Set( before );
-    const afterSet = new Set( after );
-    if ( beforeSet.size !== afterSet.size || ![...beforeSet].every( id => afterSet.has( id ) ) ) {
-        debug.log(`[SERVER] Shuffle proposal declined: not a valid permutation`);
-        const declineMessage = {
-            type: MESSAGES.SERVER_TO_CLIENT.BOARD_INFO.TYPE,
-            [MESSAGES.SERVER_TO_CLIENT.BOARD_INFO.BOARD]: boardId,
-            [MESSAGES.SERVER_TO_CLIENT.BOARD_INFO.PAGES]: board.pageOrder,
-            [MESSAGES.SERVER_TO_CLIENT.BOARD_INFO.REQUEST_ID]: requestId
-        };
+    let reason = null;
+    if ( !mayAct( board, password, ROLE.OWNER ) ) {
+        reason = "unauthorized";
+    } else if ( !boardTokens( board ).some( token => token[ACCESS_TOKEN.ID] === tokenId ) ) {
+        reason = "unknown token";
+    }
+    if ( reason ) {
+        debug.log(`[SERVER] Revoke token request declined: ${reason}`);
+        const declineMessage = tokensMessage( boardId, reason === "unauthorized" ? [] : listedTokens( board ), requestId, reason );
         ws.send(serialize(declineMessage));
         logSentMessage(declineMessage.type, declineMessage, requestId, ws.clientId);
-        releaseBoard(boardId);
+        releaseBoard( boardId );
         return;
     }
 
-    // Accept: apply the permutation and persist
-    debug.log(`[SERVER] Shuffle proposal accepted: reordering pages`);
-    board.pageOrder = after;
+    board.tokens = boardTokens( board ).filter( token => token[ACCESS_TOKEN.ID] !== tokenId );
+    markBoardDirty( boardId );
     persistBoard( boardId );
+    debug.log(`[SERVER] Revoked token ${tokenId} on board ${boardId}`);
 
-    const acceptMessage = {
-        type: MESSAGES.SERVER_TO_CLIENT.BOARD_INFO.TYPE,
-        [MESSAGES.SERVER_TO_CLIENT.BOARD_INFO.BOARD]: boardId,
-        [MESSAGES.SERVER_TO_CLIENT.BOARD_INFO.PAGES]: board.pageOrder,
-        [MESSAGES.SERVER_TO_CLIENT.BOARD_INFO.REQUEST_ID]: requestId
-    };
-
-    releaseBoard(boardId);
-
-    // Broadcast to all subscribers on this board (including proposer)
-    broadcastMessageToBoard(acceptMessage, boardId);
-    logSentMessage(acceptMessage.type, acceptMessage, requestId, ws.clientId);
+    const message = tokensMessage( boardId, listedTokens( board ), requestId );
+    ws.send(serialize(message));
+    logSentMessage(message.type, message, requestId, ws.clientId);
+    refreshRoles( boardId, board );
+    releaseBoard( boardId );
 };
 
-// Handler for page registration
-messageHandlers[MESSAGES.CLIENT_TO_SERVER.REGISTER_PAGE.TYPE] = (ws, data, requestId) => {
-    if ( is_invalid_REGISTER_PAGE_message( data ) ) {
-        debug.log(`[SERVER] dropped register page request from `, ws.clientId); 
-        return;
+function passwordRotatedMessage ( boardId, requestId, reason ) {
+    const message = {
+        type: MESSAGES.SERVER_TO_CLIENT.PASSWORD_ROTATED.TYPE,
+        [MESSAGES.SERVER_TO_CLIENT.PASSWORD_ROTATED.BOARD]: boardId
+    };
+    if ( requestId ) {
+        message[MESSAGES.SERVER_TO_CLIENT.PASSWORD_ROTATED.REQUEST_ID] = requestId;
     }
-    const clientId = data[MESSAGES.CLIENT_TO_SERVER.REGISTER_PAGE.CLIENT_ID];
-    let boardId =    data[MESSAGES.CLIENT_TO_SERVER.REGISTER_PAGE.BOARD];
-    let pageId =     data[MESSAGES.CLIENT_TO_SERVER.REGISTER_PAGE.PAGE];
-    let delta =      data[MESSAGES.CLIENT_TO_SERVER.REGISTER_PAGE.DELTA];
-    if ( boardId && isUuid( boardId ) && pageId && isUuid( pageId ) ) {
-        registerPage(ws, boardId, clientId, pageId, delta, requestId);
-    } else {
-        debug.error( `Client ${clientId} wants to register invalid page ${pageId}` );
+    if ( reason ) {
+        message[MESSAGES.SERVER_TO_CLIENT.PASSWORD_ROTATED.REASON] = reason;
     }
-};
+    return message;
+}
 
-// Handler for page info
-messageHandlers[MESSAGES.CLIENT_TO_SERVER.PAGE_INFO_REQUEST.TYPE] = (ws, data, requestId) => {
-    if ( is_invalid_PAGE_INFO_REQUEST_message( data ) ) { 
-        debug.log(`[SERVER] dropped page info request from `, ws.clientId); 
+// Handler for replacing the board password. Links with the old one stop
+// working; whoever is on the board with it is told to authenticate again.
+// Access tokens stay valid.
+messageHandlers[MESSAGES.CLIENT_TO_SERVER.ROTATE_PASSWORD.TYPE] = (ws, data, requestId) => {
+    if ( is_invalid_ROTATE_PASSWORD_message( data ) ) {
+        debug.log(`[SERVER] dropped rotate password request from `, ws.clientId);
         return;
     }
-    let boardId =    data[MESSAGES.CLIENT_TO_SERVER.PAGE_INFO_REQUEST.BOARD];
-    let pageId =     data[MESSAGES.CLIENT_TO_SERVER.PAGE_INFO_REQUEST.PAGE];
-    let delta =      data[MESSAGES.CLIENT_TO_SERVER.PAGE_INFO_REQUEST.DELTA];
-    let do_switch =  data[MESSAGES.CLIENT_TO_SERVER.PAGE_INFO_REQUEST.REGISTER];
-    if ( boardId && isUuid( boardId ) && pageId && isUuid( pageId ) ) {
-        describePage(ws, boardId, pageId, delta, do_switch, requestId);
-    } else {
-        debug.error( `Client ${clientId} wants to register invalid page ${pageId}` );
-    }
-};
+    const boardId = data[MESSAGES.CLIENT_TO_SERVER.ROTATE_PASSWORD.BOARD];
+    const password = data[MESSAGES.CLIENT_TO_SERVER.ROTATE_PASSWORD.PASSWORD];
 
-// Handler for board creation
-messageHandlers[MESSAGES.CLIENT_TO_SERVER.CREATE_BOARD.TYPE] = (ws, data, requestId) => {
-    if ( is_invalid_CREATE_BOARD_message( data ) ) { 
-        debug.log(`[SERVER] dropped create board request from `, ws.clientId); 
+    const board = useBoard( boardId );
+    if ( !board ) {
+        sendBoardRemoved( ws, boardId, requestId );
         return;
     }
-    const clientId = data[MESSAGES.CLIENT_TO_SERVER.CREATE_BOARD.CLIENT_ID];
-    let password = data[MESSAGES.CLIENT_TO_SERVER.CREATE_BOARD.PASSWORD];
-    
-    // Check credentials using scrypt
-    let isAuthorized = false;
-    
-    for (const storedHash of credentials) {
-        if (verifyPassword(password, storedHash)) {
-            isAuthorized = true;
-            debug.log(`[SERVER] Client ${clientId} authenticated successfully`);
-            break;
-        }
-    }
-    
-    if (!isAuthorized) {
-        debug.log(`[SERVER] Client ${clientId} failed authentication`);
+    if ( !mayAct( board, password, ROLE.OWNER ) ) {
+        debug.log(`[SERVER] Rotate password request declined: unauthorized`);
+        const declineMessage = passwordRotatedMessage( boardId, requestId, "unauthorized" );
+        ws.send(serialize(declineMessage));
+        logSentMessage(declineMessage.type, declineMessage, requestId, ws.clientId);
+        releaseBoard( boardId );
         return;
     }
-    
-    debug.log(`[SERVER] Client ${clientId} is allowed to create boards`);
-    createNewBoard(ws, clientId, requestId);
+
+    const oldHash = board.passwdHash;
+    const newPassword = generatePasswd();
+    board.passwdHash = hashPassword( newPassword );
+    markBoardDirty( boardId );
+    persistBoard( boardId );
+    debug.log(`[SERVER] Rotated the password of board ${boardId}`);
+
+    // the owner who asked keeps their role, whichever password they came with
+    if ( ws.presence && ws.presence.board === boardId && ws.presence.grant === oldHash ) {
+        ws.presence.grant = board.passwdHash;
+    }
+    const message = passwordRotatedMessage( boardId, requestId );
+    ws.send(serialize( { ...message, [MESSAGES.SERVER_TO_CLIENT.PASSWORD_ROTATED.PASSWORD]: newPassword } ));
+    logSentMessage(message.type, message, requestId, ws.clientId);
+
+    const notice = serialize( passwordRotatedMessage( boardId ) );
+    for ( const client of refreshRoles( boardId, board ) ) {
+        if ( client !== ws && client.readyState === WebSocket.OPEN ) {
+            client.send( notice );
+        }
+    }
+    releaseBoard( boardId );
 };
 
 messageHandlers[MESSAGES.CLIENT_TO_SERVER.FULL_PAGE_REQUEST.TYPE] = (ws, data, requestId) => {
@@ -1229,7 +3511,10 @@ messageHandlers[MESSAGES.CLIENT_TO_SERVER.FULL_PAGE_REQUEST.TYPE] = (ws, data, r
     if ( ! boardId ) { return; }
     if ( ! isUuid( boardId ) ) { return; }
     const board = useBoard( boardId );
-    assert(board);
+    if ( !board ) {
+        sendBoardRemoved( ws, boardId, requestId );
+        return;
+    }
     const pageId = data[MESSAGES.CLIENT_TO_SERVER.FULL_PAGE_REQUEST.PAGE];
     const delta = data[MESSAGES.CLIENT_TO_SERVER.FULL_PAGE_REQUEST.DELTA];
     debug.log( "[SERVER] handling full page request", `pageId = ${pageId}, delta = ${delta}`)
@@ -1267,10 +3552,57 @@ function flag_and_fix_inconsistent_state( page, msg ) {
     }
 }
 
-function handleEditAction(page, action) {
+// the number of points of the longest stroke an edit draws
+function longestStroke(action) {
+    let longest = 0;
+    const pending = [action];
+    while (pending.length > 0) {
+        const edit = pending.pop();
+        if (edit[MOD_ACTIONS.TYPE] === MOD_ACTIONS.GROUP.TYPE) {
+            for (const subAction of edit[MOD_ACTIONS.GROUP.ACTIONS]) {
+                pending.push(subAction);
+            }
+        } else if (edit[MOD_ACTIONS.TYPE] === MOD_ACTIONS.DRAW.TYPE) {
+            longest = Math.max(longest, edit[MOD_ACTIONS.DRAW.STROKE][ELEMENT.POINTS].length);
+        }
+    }
+    return longest;
+}
+
+// Why a proposal would take the board or page beyond a quota, null if it
+// would not. Undo and redo only move the present, deleting a page never adds
+// one; everything else appends to the history. The groups the server makes
+// for undo own, redo own and restore count against the history only.
+function proposalQuotaReason(board, page, action) {
+    switch (action[MOD_ACTIONS.TYPE]) {
+    case MOD_ACTIONS.UNDO.TYPE:
+    case MOD_ACTIONS.REDO.TYPE:
+    case MOD_ACTIONS.DELETE_PAGE.TYPE:
+        return null;
+    case MOD_ACTIONS.NEW_PAGE.TYPE:
+    case MOD_ACTIONS.DUPLICATE_PAGE.TYPE:
+        return overQuota(board.pageOrder.length + 1, QUOTA_BOARD_PAGES) ? "too many pages" : null;
+    }
+    if (overQuota(page.present + 1, QUOTA_PAGE_HISTORY)) {
+        return "page history full";
+    }
+    if (action[MOD_ACTIONS.TYPE] === MOD_ACTIONS.GROUP.TYPE
+        && overQuota(count_group_actions(action, QUOTA_GROUP_ACTIONS), QUOTA_GROUP_ACTIONS)) {
+        return "group too large";
+    }
+    if (overQuota(longestStroke(action), QUOTA_STROKE_POINTS)) {
+        return "stroke too long";
+    }
+    return null;
+}
+
+function handleEditAction(page, action, author = null) {
     flag_and_fix_inconsistent_state( page, "edit" );
     if ( commitEdit( page.state, action ) ) {
         const future_size = page.history.length - page.present;
+        const authors = pageAuthors(page);
+        authors.splice(page.present, future_size);
+        authors.push(author);
         page.history.splice(page.present, future_size);
         page.history.push(action);
         page.hashes.splice(page.present + 1, future_size);
@@ -1287,6 +3619,9 @@ function handleUndoAction(page, action) {
     flag_and_fix_inconsistent_state( page, "undo" );
     if (page.present > 0) {
         const currentAction = page.history[page.present - 1];
+        if (currentAction[MOD_ACTIONS.TYPE] === MOD_ACTIONS.CHECKPOINT.TYPE) {
+            return false;
+        }
         if (currentAction[MOD_ACTIONS.UUID] === action[MOD_ACTIONS.UNDO.TARGET_ACTION]) {
             if ( ! revertEdit( page.state, currentAction ) ) {
                 debug.log( `BAD: cannot undo action ${currentAction[MOD_ACTIONS.UUID]}` );
@@ -1348,6 +3683,7 @@ messageHandlers[MESSAGES.CLIENT_TO_SERVER.MOD_ACTION_PROPOSALS.TYPE] = (ws, data
         const pageUuid = data[MESSAGES.CLIENT_TO_SERVER.MOD_ACTION_PROPOSALS.PAGE];
         const action = data[MESSAGES.CLIENT_TO_SERVER.MOD_ACTION_PROPOSALS.PAYLOAD];
         const beforeHash = data[MESSAGES.CLIENT_TO_SERVER.MOD_ACTION_PROPOSALS.BEFORE_HASH];
+        const name = (data[MESSAGES.CLIENT_TO_SERVER.MOD_ACTION_PROPOSALS.NAME] || '').trim();
         const clientId = ws.clientId;
         const actionId = action[MOD_ACTIONS.UUID];
 
@@ -1355,13 +3691,14 @@ messageHandlers[MESSAGES.CLIENT_TO_SERVER.MOD_ACTION_PROPOSALS.TYPE] = (ws, data
 
         const board = useBoard( boardId );
         if (!board) {
-            releaseBoard( boardId );
             debug.log(`[SERVER]: Cannot find board ${boardId}`);
+            sendBoardRemoved( ws, boardId, requestId );
             return;
         }
 
-        // debug.log(`password = ${password},  board.passwd = ${board.passwd}`);
-        if ( !password || password != board.passwd ) {
+        // pages are managed by owners, editors change what is on them
+        const managesPages = [MOD_ACTIONS.NEW_PAGE.TYPE, MOD_ACTIONS.DELETE_PAGE.TYPE, MOD_ACTIONS.DUPLICATE_PAGE.TYPE].includes( action.type );
+        if ( !mayAct( board, password, managesPages ? ROLE.OWNER : ROLE.EDITOR ) ) {
             const declineMessage = createDeclineMessage(boardId, pageUuid, actionId, "unauthorized");
             ws.send(serialize(declineMessage));
             logSentMessage(declineMessage.type, declineMessage, requestId, ws.clientId);
@@ -1369,6 +3706,23 @@ messageHandlers[MESSAGES.CLIENT_TO_SERVER.MOD_ACTION_PROPOSALS.TYPE] = (ws, data
             return;
         }
 
+        if ( isArchived( board ) ) {
+            const declineMessage = createDeclineMessage(boardId, pageUuid, actionId, "archived");
+            ws.send(serialize(declineMessage));
+            logSentMessage(declineMessage.type, declineMessage, requestId, ws.clientId);
+            releaseBoard(boardId);
+            return;
+        }
+
+        // the board's password says nothing about pages on other boards
+        if ( !board.pageOrder.includes( pageUuid ) ) {
+            const declineMessage = createDeclineMessage(boardId, pageUuid, actionId, "page is not on this board");
+            ws.send(serialize(declineMessage));
+            logSentMessage(declineMessage.type, declineMessage, requestId, ws.clientId);
+            releaseBoard(boardId);
+            return;
+        }
+
         const page = usePage( pageUuid );
         if (!page) {
             releasePage( pageUuid );
@@ -1376,20 +3730,37 @@ messageHandlers[MESSAGES.CLIENT_TO_SERVER.MOD_ACTION_PROPOSALS.TYPE] = (ws, data
             return;
         }
 
+        const quotaReason = proposalQuotaReason( board, page, action );
+        if ( quotaReason ) {
+            debug.log(`[SERVER] Declined action ${actionId} from '${clientId}': ${quotaReason}`);
+            const declineMessage = createDeclineMessage(boardId, pageUuid, actionId, quotaReason);
+            ws.send(serialize(declineMessage));
+            logSentMessage(declineMessage.type, declineMessage, requestId, ws.clientId);
+            releasePage(pageUuid);
+            releaseBoard(boardId);
+            return;
+        }
+
         let accept;
         let reason;
+        let committed = action; // what goes into the history and the journal
+        let author = {
+            [AUTHOR.CLIENT]: clientId || null,
+            [AUTHOR.NAME]: name,
+            [AUTHOR.TIME]: Date.now()
+        };
         const actionType = action.type;
         switch (actionType) {
         case MOD_ACTIONS.DRAW.TYPE:
-            accept = handleEditAction(page, action);
+            accept = handleEditAction(page, action, author);
             reason = "cannot apply action to current visual state";
             break;
         case MOD_ACTIONS.ERASE.TYPE:
-            accept = handleEditAction(page, action);
+            accept = handleEditAction(page, action, author);
             reason = "cannot apply action to current visual state";
             break;
         case MOD_ACTIONS.GROUP.TYPE:
-            accept = handleEditAction(page, action);
+            accept = handleEditAction(page, action, author);
             reason = "cannot apply action to current visual state";
             break;
         case MOD_ACTIONS.UNDO.TYPE:
@@ -1400,13 +3771,51 @@ messageHandlers[MESSAGES.CLIENT_TO_SERVER.MOD_ACTION_PROPOSALS.TYPE] = (ws, data
             accept = handleRedoAction(page, action);
             reason = "can only redo the immediate future";
             break;
+        case MOD_ACTIONS.UNDO_OWN.TYPE:
+        case MOD_ACTIONS.REDO_OWN.TYPE: {
+            // without a client id nothing can be told apart as our own
+            const revert = clientId
+                ? revertGroup(page, clientId, actionType === MOD_ACTIONS.REDO_OWN.TYPE, actionId)
+                : { reason: actionType === MOD_ACTIONS.REDO_OWN.TYPE ? "nothing to redo" : "nothing to undo" };
+            if (!revert.group) {
+                accept = false;
+                reason = revert.reason;
+                break;
+            }
+            committed = revert.group;
+            author[AUTHOR.REVERTS] = revert.reverts;
+            accept = handleEditAction(page, committed, author);
+            reason = "cannot apply action to current visual state";
+            break;
+        }
+        case MOD_ACTIONS.RESTORE.TYPE: {
+            const index = action[MOD_ACTIONS.RESTORE.INDEX];
+            if (index > page.present || page.hashes[index] !== action[MOD_ACTIONS.RESTORE.HASH]) {
+                accept = false;
+                reason = "out of sync";
+                break;
+            }
+            committed = restoreGroup(page, index, actionId);
+            if (committed && committed[MOD_ACTIONS.GROUP.ACTIONS].length === 0) {
+                accept = false;
+                reason = "nothing to restore";
+                break;
+            }
+            accept = committed !== null && handleEditAction(page, committed, author);
+            reason = "cannot apply action to current visual state";
+            break;
+        }
         case MOD_ACTIONS.NEW_PAGE.TYPE:
             releasePage(pageUuid);
             const newPageId = generateSecureUuid();
-            const newPage = createPage(newPageId);
-            releasePage(newPageId);
             debug.log(`[SERVER]: add new page ${newPageId} behind ${pageUuid}`);
-            board.pageOrder.splice(board.pageOrder.indexOf(pageUuid) + 1, 0, newPageId);
+            storage.transaction( () => {
+                createPage(newPageId);
+                board.pageOrder.splice(board.pageOrder.indexOf(pageUuid) + 1, 0, newPageId);
+                touchBoard(boardId, board);
+                persistBoard(boardId);
+            });
+            releasePage(newPageId);
             const message = boardInfo( boardId, board, requestId );
             releaseBoard( boardId );
             sendFullPage(ws, boardId, newPageId, true, requestId);
@@ -1417,9 +3826,14 @@ messageHandlers[MESSAGES.CLIENT_TO_SERVER.MOD_ACTION_PROPOSALS.TYPE] = (ws, data
             releasePage(pageUuid);
             if (board.pageOrder.length > 1) {
                 const index = board.pageOrder.indexOf(pageUuid);
-                board.pageOrder.splice(index, 1);
-                const newPageId = board.pageOrder[Math.min(index, board.pageOrder.length - 1)];
-                deletionMap[pageUuid] = newPageId;
+                const newPageId = board.pageOrder[index + 1 < board.pageOrder.length ? index + 1 : index - 1];
+                storage.transaction( () => {
+                    board.pageOrder.splice(index, 1);
+                    recordDeletion(pageUuid, newPageId);
+                    touchBoard(boardId, board);
+                    persistBoard(boardId);
+                    persistDeletionMap();
+                });
                 const message = boardInfo( boardId, board, requestId );
                 releaseBoard(boardId);
                 sendPageInfo(ws, boardId, newPageId, true, requestId);
@@ -1428,10 +3842,15 @@ messageHandlers[MESSAGES.CLIENT_TO_SERVER.MOD_ACTION_PROPOSALS.TYPE] = (ws, data
             } else {
                 const index = board.pageOrder.indexOf(pageUuid);                
                 const newPageId = generateSecureUuid();
-                deletionMap[pageUuid] = newPageId;
-                const newPage = createPage(newPageId);
+                storage.transaction( () => {
+                    createPage(newPageId);
+                    board.pageOrder[ index ] = newPageId;
+                    recordDeletion(pageUuid, newPageId);
+                    touchBoard(boardId, board);
+                    persistBoard(boardId);
+                    persistDeletionMap();
+                });
                 releasePage( newPageId );
-                board.pageOrder[ index ] = newPageId;
                 const message = boardInfo( boardId, board, requestId );
                 releaseBoard( boardId );
                 sendFullPage( ws, boardId, newPageId, true, requestId );
@@ -1439,12 +3858,32 @@ messageHandlers[MESSAGES.CLIENT_TO_SERVER.MOD_ACTION_PROPOSALS.TYPE] = (ws, data
                 broadcastMessageToBoard( message, boardId );
             }
             return;
+        case MOD_ACTIONS.DUPLICATE_PAGE.TYPE: {
+            const elements = visibleElements(page);
+            releasePage(pageUuid);
+            const copyId = generateSecureUuid();
+            debug.log(`[SERVER]: duplicate page ${pageUuid} as ${copyId}`);
+            storage.transaction( () => {
+                createPageFrom(copyId, elements);
+                board.pageOrder.splice(board.pageOrder.indexOf(pageUuid) + 1, 0, copyId);
+                touchBoard(boardId, board);
+                persistBoard(boardId);
+            });
+            const message = boardInfo( boardId, board, requestId );
+            releaseBoard( boardId );
+            sendFullPage(ws, boardId, copyId, true, requestId);
+            sendPingToBoard( boardId );
+            broadcastMessageToBoard( message, boardId );
+            return;
+        }
         default:
             accept = false;
             reason = "unknown action type";
         }
         
         if (accept) {
+            journalAction(pageUuid, page, committed, author);
+            touchBoard(boardId, board);
             const pageHistory = page.history;
             const pagePresent = page.present;
             const pageHash = page.hashes[pagePresent];
@@ -1530,6 +3969,10 @@ messageHandlers[MESSAGES.CLIENT_TO_SERVER.REPLAY_REQUEST.TYPE] = (ws, data, requ
     const do_register = data[MESSAGES.CLIENT_TO_SERVER.REPLAY_REQUEST.REGISTER];
     
     const board = useBoard(boardId);
+    if ( !board ) {
+        sendBoardRemoved( ws, boardId, requestId );
+        return;
+    }
     const pageId = existingPage(pageUuid, board);
 
     if ( do_register ) {
@@ -1544,6 +3987,14 @@ messageHandlers[MESSAGES.CLIENT_TO_SERVER.REPLAY_REQUEST.TYPE] = (ws, data, requ
     }
     
     const page = usePage(pageId);
+    if (page.hashes[present] !== presentHash && page.hashes.includes(presentHash)) {
+        // the client still counts actions from before a compaction
+        debug.log(`[SERVER] Page ${pageId} was compacted since time ${present}, sending full page`);
+        releasePage(pageId);
+        releaseBoard(boardId);
+        sendFullPage( ws, boardId, pageId, do_register, requestId );
+        return;
+    }
     if (page.hashes[present] !== presentHash) {
         debug.log(`[SERVER] Hash ${pageId} changed at time ${present}, sending page info`);
         sendPageInfo( ws, boardId, pageId, do_register, requestId );
@@ -1576,6 +4027,183 @@ messageHandlers[MESSAGES.CLIENT_TO_SERVER.REPLAY_REQUEST.TYPE] = (ws, data, requ
     logSentMessage(replayMessage.type, replayMessage, requestId, ws.clientId);
 };
 
+// rate limiting
+// -------------
+//
+// Every connection and every remote address has a token bucket for messages;
+// a message without a token is dropped. Full-page requests draw from buckets
+// of their own, and so do password checks that run scrypt (server
+// credentials, and board passwords not in the verification cache). An address
+// with too many failed password checks in a row is banned for a while: its
+// connections are closed and new ones refused. Behind a reverse proxy, the
+// proxy's address is replaced by the one it forwards.
+
+const RATE_MESSAGES = envNumber('KUBUX_WHITEBOARD_RATE_MESSAGES', 100); // per second and connection, 0 = no limits at all
+const RATE_FULL_PAGES = envNumber('KUBUX_WHITEBOARD_RATE_FULL_PAGES', 20); // per second and connection
+const RATE_PASSWORD_CHECKS = envNumber('KUBUX_WHITEBOARD_RATE_PASSWORD_CHECKS', 30); // per minute and address
+const RATE_CONNECTIONS = envNumber('KUBUX_WHITEBOARD_RATE_CONNECTIONS', 60); // per minute and address
+const BAN_FAILURES = envNumber('KUBUX_WHITEBOARD_BAN_FAILURES', 10); // 0 = never ban
+const BAN_MINUTES = envNumber('KUBUX_WHITEBOARD_BAN_MINUTES', 15);
+const TRUSTED_PROXIES = ( process.env.KUBUX_WHITEBOARD_TRUSTED_PROXIES || '' )
+      .split( ',' ).map( address => normalizeAddress( address.trim() ) ).filter( Boolean );
+// trusting any sender would take the client address from what the client
+// itself wrote into X-Forwarded-For
+if ( TRUSTED_PROXIES.includes( '*' ) ) {
+    debug.error(`[SERVER] Invalid KUBUX_WHITEBOARD_TRUSTED_PROXIES: ${process.env.KUBUX_WHITEBOARD_TRUSTED_PROXIES}, expected the proxies' addresses`);
+    process.exit(1);
+}
+const ADDRESS_SHARE = 10; // an address may use as much as this many connections
+const POLICY_VIOLATION = 1008; // WebSocket close code
+
+// A bucket holds up to burst tokens and gains rate tokens per second. With a
+// rate of 0 it never runs dry.
+function createBucket(rate, burst) {
+    let tokens = burst;
+    let last = Date.now();
+
+    function refill() {
+        const now = Date.now();
+        tokens = Math.min( burst, tokens + ( now - last ) * rate / 1000 );
+        last = now;
+    }
+
+    return {
+        take: () => {
+            if ( rate === 0 ) {
+                return true;
+            }
+            refill();
+            if ( tokens < 1 ) {
+                return false;
+            }
+            tokens -= 1;
+            return true;
+        },
+        full: () => { refill(); return tokens >= burst; }
+    };
+}
+
+function connectionLimits() {
+    return {
+        messages: createBucket( RATE_MESSAGES, 2 * RATE_MESSAGES ),
+        fullPages: createBucket( RATE_FULL_PAGES, 5 * RATE_FULL_PAGES )
+    };
+}
+
+const addressLimits = new Map(); // remote address -> its buckets, failures and ban
+
+function limitsOf(address) {
+    if ( !addressLimits.has( address ) ) {
+        addressLimits.set( address, {
+            messages: createBucket( ADDRESS_SHARE * RATE_MESSAGES, ADDRESS_SHARE * 2 * RATE_MESSAGES ),
+            fullPages: createBucket( ADDRESS_SHARE * RATE_FULL_PAGES, ADDRESS_SHARE * 5 * RATE_FULL_PAGES ),
+            passwordChecks: createBucket( RATE_PASSWORD_CHECKS / 60, RATE_PASSWORD_CHECKS / 3 ),
+            connections: createBucket( RATE_CONNECTIONS / 60, RATE_CONNECTIONS ),
+            failures: 0, // failed password checks since the last successful one
+            bannedUntil: 0
+        } );
+    }
+    return addressLimits.get( address );
+}
+
+// IPv4 clients of a dual-stack server show up as ::ffff:a.b.c.d
+function normalizeAddress(address) {
+    return ( address || '' ).replace( /^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '' );
+}
+
+function isTrustedProxy(address) {
+    return TRUSTED_PROXIES.includes( address );
+}
+
+// the nearest address in X-Forwarded-For that is not a trusted proxy
+function clientAddress(req) {
+    let address = normalizeAddress( req.socket.remoteAddress );
+    const forwarded = String( req.headers['x-forwarded-for'] || '' )
+          .split( ',' ).map( entry => normalizeAddress( entry.trim() ) ).filter( Boolean );
+    while ( forwarded.length > 0 && isTrustedProxy( address ) ) {
+        address = forwarded.pop();
+    }
+    return address;
+}
+
+function isBanned(address) {
+    return limitsOf( address ).bannedUntil > Date.now();
+}
+
+// the connection whose message is being handled; password checks are charged
+// to its address
+let handling = null;
+
+// false if the address of the connection being handled may not run another
+// password check right now
+function mayCheckPassword() {
+    return !handling || RATE_MESSAGES === 0 || limitsOf( handling.address ).passwordChecks.take();
+}
+
+function passwordChecked(verified) {
+    if ( !handling ) {
+        return;
+    }
+    const limits = limitsOf( handling.address );
+    if ( verified ) {
+        limits.failures = 0;
+        return;
+    }
+    limits.failures += 1;
+    if ( BAN_FAILURES > 0 && limits.failures >= BAN_FAILURES ) {
+        banAddress( handling.address );
+    }
+}
+
+function banAddress(address) {
+    const limits = limitsOf( address );
+    limits.bannedUntil = Date.now() + BAN_MINUTES * 60 * 1000;
+    limits.failures = 0;
+    debug.error(`[SERVER] Banned ${address} for ${BAN_MINUTES} minutes after ${BAN_FAILURES} failed password checks`);
+    wss.clients.forEach(client => {
+        if ( client.address === address ) {
+            client.close( POLICY_VIOLATION, 'too many failed password checks' );
+        }
+    });
+}
+
+// false if the message is to be dropped
+function admitMessage(ws, type) {
+    if ( RATE_MESSAGES === 0 ) {
+        return true;
+    }
+    const limits = limitsOf( ws.address );
+    if ( !ws.limits.messages.take() || !limits.messages.take() ) {
+        return false;
+    }
+    if ( type === MESSAGES.CLIENT_TO_SERVER.FULL_PAGE_REQUEST.TYPE ) {
+        return ws.limits.fullPages.take() && limits.fullPages.take();
+    }
+    return true;
+}
+
+// tell a client once in a while that its messages are dropped
+function notifyRateLimited(ws) {
+    const now = Date.now();
+    if ( now - ( ws.rateLimitedSince || 0 ) < 10000 || ws.readyState !== WebSocket.OPEN ) {
+        return;
+    }
+    ws.rateLimitedSince = now;
+    ws.send(serialize({ type: "error", message: "too many requests, some were dropped" }));
+}
+
+// addresses with nothing left to remember are forgotten
+function pruneAddressLimits() {
+    const connected = new Set( [...wss.clients].map( client => client.address ) );
+    for ( const [address, limits] of addressLimits ) {
+        if ( !connected.has( address ) && limits.bannedUntil <= Date.now() && limits.failures === 0
+             && limits.messages.full() && limits.fullPages.full()
+             && limits.passwordChecks.full() && limits.connections.full() ) {
+            addressLimits.delete( address );
+        }
+    }
+}
+
 function routeMessage(ws, message) {
     try {
         const data = deserialize( message );
@@ -1587,7 +4215,18 @@ function routeMessage(ws, message) {
         
             const handler = messageHandlers[message_type];
             if ( handler ) {
-                handler(ws, data, requestId);
+                if ( !admitMessage( ws, message_type ) ) {
+                    debug.log(`[SERVER] dropped '${message_type}' from client ${ws.clientId} at ${ws.address}: rate limit`);
+                    notifyRateLimited( ws );
+                    return;
+                }
+                handling = ws;
+                try {
+                    handler(ws, data, requestId);
+                } finally {
+                    handling = null;
+                }
+                updatePresence(ws);
             } else {
                 throw new Error(`Unhandled message type: ${data.type}`);
             }
@@ -1608,7 +4247,19 @@ function routeMessage(ws, message) {
 }
 
 wss.on('connection', (ws, req) => {
-    debug.log(`[SERVER] New WebSocket connection established`);
+    ws.address = clientAddress( req );
+    ws.limits = connectionLimits();
+    if ( isBanned( ws.address ) ) {
+        debug.log(`[SERVER] Refused connection from banned ${ws.address}`);
+        ws.close( POLICY_VIOLATION, 'too many failed password checks' );
+        return;
+    }
+    if ( RATE_MESSAGES > 0 && !limitsOf( ws.address ).connections.take() ) {
+        debug.log(`[SERVER] Refused connection from ${ws.address}: rate limit`);
+        ws.close( POLICY_VIOLATION, 'too many connections' );
+        return;
+    }
+    debug.log(`[SERVER] New WebSocket connection established from ${ws.address}`);
     
     if (!pingTimer) {
         pingTimer = setInterval( () => {
@@ -1631,26 +4282,35 @@ wss.on('connection', (ws, req) => {
         if (ws.clientId && clients[ws.clientId] === ws) {
             delete clients[ws.clientId];
         }
+        updatePresence(ws);
     });
 });
 
 
+// pages are journaled as actions are accepted and need no periodic saving
 function periodicallyPersist () {
-    persistAllBoards();
-    persistAllPages();
-    persistDeletionMap();
+    storage.transaction( () => {
+        persistAllBoards();
+        persistDeletionMap();
+    });
 }
 
 const intervalPersist = setInterval( periodicallyPersist, 10000 );
+const intervalCacheStats = (CACHE_STATS_MINUTES > 0) ? setInterval( logCacheStats, CACHE_STATS_MINUTES * 60 * 1000 ) : null;
+const intervalSweep = (GC_INTERVAL_HOURS > 0) ? setInterval( sweep, GC_INTERVAL_HOURS * 60 * 60 * 1000 ) : null;
+const intervalPrune = setInterval( pruneAddressLimits, 60 * 1000 );
 
 
 // Function to handle the shutdown logic
 function shutdown(signal) {
   debug.log(`Received ${signal}. Server is shutting down. Persisting state...`);
   clearInterval( intervalPersist );
-  persistAllBoards();
+  clearInterval( intervalSweep );
+  clearInterval( intervalCacheStats );
+  clearInterval( intervalPrune );
+  periodicallyPersist();
   persistAllPages();
-  persistDeletionMap();
+  storage.close();
   httpServer.close(() => {
     debug.log('Server connections closed. Exiting process.');
     process.exit(0);
@@ -56,7 +56,8 @@ function isUuid(str) {
 }
 
 // serialization / deserialization
-const serialize = (data) => {
+// (pass indent = 0 for compact output; hashAny relies on the default indent)
+const serialize = (data, indent = 2) => {
     const replacer = (key, value) => {
         if (typeof value === 'bigint') {
             return { __type: 'BigInt', value: value.toString() };
@@ -69,7 +70,7 @@ const serialize = (data) => {
         }
         return value;
     };
-    return JSON.stringify(data, replacer, 2);
+    return JSON.stringify(data, replacer, indent);
 };
 
 const deserialize = (jsonString) => {
@@ -111,6 +112,24 @@ function hashNext(previousHash, newData) {
     return hashAny(combinedData);
 }
 
+// the hash chain of a page: hashes[0] = hashAny(pageId), hashes[i+1] is the
+// state after history[i]. a checkpoint stands in for the history it replaced
+// and carries that history's hash, so the chain continues unchanged after it.
+function hashAction(previousHash, action) {
+    if (action && action[MOD_ACTIONS.TYPE] === MOD_ACTIONS.CHECKPOINT.TYPE) {
+        return action[MOD_ACTIONS.CHECKPOINT.HASH];
+    }
+    return hashNext(previousHash, action);
+}
+
+function hashChain(pageId, actions) {
+    const hashes = [hashAny(pageId)];
+    for (const action of actions) {
+        hashes.push(hashAction(hashes[hashes.length - 1], action));
+    }
+    return hashes;
+}
+
 
 // value equality
 function isEqual(obj1, obj2) {
@@ -178,6 +197,12 @@ const MOD_ACTIONS = {
         TYPE: 'group',
         ACTIONS: 'actions' // array of _edit_ops_ !!!
     },
+    // folded history (created by the server, never proposed, cannot be undone)
+    CHECKPOINT: {
+        TYPE: 'checkpoint',
+        ELEMENTS: 'elements', // array of [uuid, element] visible at the checkpoint
+        HASH: 'anchorHash' // hash of the history the checkpoint replaced
+    },
     // moving the present (can refer to edit ops)
     UNDO: {
         TYPE: 'undo',
@@ -187,12 +212,29 @@ const MOD_ACTIONS = {
         TYPE: 'redo',
         TARGET_ACTION: 'targetActionUuid'
     },
+    // taking back the proposer's own latest edit, or the latest such undo; the
+    // server records the inverse as a GROUP
+    UNDO_OWN: {
+        TYPE: 'undo own'
+    },
+    REDO_OWN: {
+        TYPE: 'redo own'
+    },
+    // going back to an earlier state (the server records it as a GROUP)
+    RESTORE: {
+        TYPE: 'restore',
+        INDEX: 'index', // number of history entries the restored state is made of
+        HASH: 'hash' // hash of the history up to INDEX, to catch stale proposals
+    },
     // board ops
     NEW_PAGE: {
         TYPE: 'new page'
     },
     DELETE_PAGE: {
         TYPE: 'delete page'
+    },
+    DUPLICATE_PAGE: {
+        TYPE: 'duplicate page'
     }
 };
 
@@ -229,6 +271,8 @@ const MESSAGES = {
         CREATE_BOARD: {
             TYPE: 'create-board',
             PASSWORD: 'passwd',
+            CREATOR: 'creator', // optional label stored in the board metadata
+            TEMPLATE: 'template', // optional uuid of a board whose pages the new board starts with
             CLIENT_ID: 'clientId',
             REQUEST_ID: 'requestId'
         },
@@ -254,7 +298,8 @@ const MESSAGES = {
             BOARD: 'board-uuid',
             PAGE: 'page-uuid',
             PAYLOAD: 'payload',
-            BEFORE_HASH: 'before-hash'
+            BEFORE_HASH: 'before-hash',
+            NAME: 'name' // display name of the proposer, optional
         },
         REPLAY_REQUEST: {
             TYPE: 'replay-requests',
@@ -264,6 +309,147 @@ const MESSAGES = {
             PRESENT_HASH: 'present-hash',
             REGISTER: 'register',
             REQUEST_ID: 'requestId'
+        },
+        EXPORT_BOARD: {
+            TYPE: 'export-board',
+            BOARD: 'board-uuid',
+            PASSWORD: 'passwd',
+            REQUEST_ID: 'requestId'
+        },
+        IMPORT_BOARD: {
+            TYPE: 'import-board',
+            CREDENTIAL: 'credential',
+            ARCHIVE: 'archive',
+            KEEP_UUID: 'keep-uuid', // recreate the board under its original uuid
+            REQUEST_ID: 'requestId'
+        },
+        UPDATE_BOARD_META: {
+            TYPE: 'update-board-meta',
+            BOARD: 'board-uuid',
+            PASSWORD: 'passwd',
+            META: 'meta', // the editable fields of BOARD_META to change
+            REQUEST_ID: 'requestId'
+        },
+        LIST_BOARDS: {
+            TYPE: 'list-boards',
+            CREDENTIAL: 'credential',
+            REQUEST_ID: 'requestId'
+        },
+        LIST_TEMPLATES: {
+            TYPE: 'list-templates',
+            CREDENTIAL: 'credential',
+            REQUEST_ID: 'requestId'
+        },
+        ARCHIVE_BOARD: {
+            TYPE: 'archive-board',
+            BOARD: 'board-uuid',
+            CREDENTIAL: 'credential',
+            ARCHIVED: 'archived', // true to make the board read-only, false to reopen it
+            REQUEST_ID: 'requestId'
+        },
+        DELETE_BOARD: {
+            TYPE: 'delete-board',
+            BOARD: 'board-uuid',
+            CREDENTIAL: 'credential',
+            REQUEST_ID: 'requestId'
+        },
+        TRANSFER_PAGES: {
+            TYPE: 'transfer-pages',
+            BOARD: 'board-uuid', // the board the pages come from
+            PASSWORD: 'passwd',
+            PAGES: 'pages',
+            TARGET_BOARD: 'target-board-uuid',
+            TARGET_PASSWORD: 'target-passwd',
+            POSITION: 'position', // index in the target's page order; optional, defaults to the end
+            MOVE: 'move', // true to take the pages off the source board
+            REQUEST_ID: 'requestId'
+        },
+        BOOKMARKS_REQUEST: {
+            TYPE: 'bookmarks-request',
+            BOARD: 'board-uuid',
+            PAGE: 'page-uuid',
+            REQUEST_ID: 'requestId'
+        },
+        SET_BOOKMARK: {
+            TYPE: 'set-bookmark',
+            BOARD: 'board-uuid',
+            PASSWORD: 'passwd',
+            PAGE: 'page-uuid',
+            HASH: 'hash', // the bookmarked position, as the hash of the history up to it
+            LABEL: 'label', // an empty label removes the bookmark
+            REQUEST_ID: 'requestId'
+        },
+        ATTRIBUTION_REQUEST: {
+            TYPE: 'attribution-request',
+            BOARD: 'board-uuid',
+            PAGE: 'page-uuid',
+            REQUEST_ID: 'requestId'
+        },
+        PRESENCE: {
+            TYPE: 'presence',
+            BOARD: 'board-uuid',
+            PASSWORD: 'passwd', // optional; the client is listed with the role it gives, otherwise as a viewer
+            NAME: 'name',
+            COLOR: 'color' // '#rrggbb'
+        },
+        CURSOR: {
+            TYPE: 'cursor',
+            PAGE: 'page-uuid',
+            X: 'x', // page coordinates; both null when the pointer left the page
+            Y: 'y'
+        },
+        PRESENT: {
+            TYPE: 'present',
+            BOARD: 'board-uuid',
+            PASSWORD: 'passwd',
+            ACTIVE: 'active', // true to become the presenter, false to stop
+            REQUEST_ID: 'requestId'
+        },
+        VIEW: {
+            TYPE: 'view',
+            BOARD: 'board-uuid',
+            VIEW: 'view' // VIEW, only taken from the presenter
+        },
+        LASER: {
+            TYPE: 'laser',
+            PAGE: 'page-uuid',
+            STROKE: 'stroke-uuid', // made up by the sender, the same for all pieces of a stroke
+            POINTS: 'points' // [[x, y], ...] in page coordinates, the stroke's next points
+        },
+        STROKE_PROGRESS: {
+            TYPE: 'stroke-progress',
+            PAGE: 'page-uuid',
+            ACTION: 'action-uuid', // the uuid the finished stroke's draw action will have
+            STROKE: 'stroke', // the stroke element without its points, only in the first piece
+            FROM: 'from', // index of the first point in this piece
+            POINTS: 'points' // the stroke's next points
+        },
+        TOKENS_REQUEST: {
+            TYPE: 'tokens-request',
+            BOARD: 'board-uuid',
+            PASSWORD: 'passwd', // an owner's
+            REQUEST_ID: 'requestId'
+        },
+        CREATE_TOKEN: {
+            TYPE: 'create-token',
+            BOARD: 'board-uuid',
+            PASSWORD: 'passwd', // an owner's
+            LABEL: 'label', // who the token is for
+            ROLE: 'role', // ROLE.VIEWER, ROLE.EDITOR or ROLE.OWNER
+            REQUEST_ID: 'requestId'
+        },
+        REVOKE_TOKEN: {
+            TYPE: 'revoke-token',
+            BOARD: 'board-uuid',
+            PASSWORD: 'passwd', // an owner's
+            TOKEN: 'token', // ACCESS_TOKEN.ID
+            REQUEST_ID: 'requestId'
+        },
+        ROTATE_PASSWORD: {
+            TYPE: 'rotate-password',
+            BOARD: 'board-uuid',
+            PASSWORD: 'passwd', // an owner's
+            REQUEST_ID: 'requestId'
         }
     },
     SERVER_TO_CLIENT: {
@@ -272,6 +458,8 @@ const MESSAGES = {
             BOARD: 'board-uuid',
             PASSWORD: 'passwd',
             FIRST_PAGE: 'first-page-uuid',
+            META: 'meta',
+            REASON: 'reason', // set instead of the others if the board was not created
             REQUEST_ID: 'requestId'
         },
         BOARD_REGISTERED: {
@@ -280,12 +468,15 @@ const MESSAGES = {
             FIRST_PAGE: 'first-page-uuid',
             LAST_PAGE: 'last-page-uuid',
             TOTAL_PAGES: 'totalPages',
+            META: 'meta',
             REQUEST_ID: 'requestId'
         },
         BOARD_INFO: {
             TYPE: 'board-info',
             BOARD: 'board-uuid',
             PAGES: 'pages',
+            META: 'meta',
+            REASON: 'reason', // set if the request it answers was declined
             REQUEST_ID: 'requestId'
         },
         PAGE_REGISTERED: {
@@ -363,10 +554,225 @@ const MESSAGES = {
             PAGE_NR: 'pageNr',
             TOTAL_PAGES: 'totalPages',
             SNAPSHOTS: 'snapshots'
+        },
+        BOARD_EXPORT: {
+            TYPE: 'board-export',
+            BOARD: 'board-uuid',
+            ARCHIVE: 'archive',
+            REASON: 'reason', // set instead of ARCHIVE if the export was refused
+            REQUEST_ID: 'requestId'
+        },
+        BOARD_IMPORTED: {
+            TYPE: 'board-imported',
+            BOARD: 'board-uuid',
+            PASSWORD: 'passwd', // absent if the archive kept the board's uuid and only holds password hashes
+            REASON: 'reason', // set instead of BOARD if the import was refused
+            REQUEST_ID: 'requestId'
+        },
+        BOARD_LIST: {
+            TYPE: 'board-list',
+            BOARDS: 'boards', // array of ENTRY
+            ENTRY: {
+                BOARD: 'board-uuid',
+                TOTAL_PAGES: 'totalPages',
+                META: 'meta'
+            },
+            REASON: 'reason', // set instead of BOARDS if the credential was refused
+            REQUEST_ID: 'requestId'
+        },
+        BOARD_REMOVED: {
+            TYPE: 'board-removed',
+            BOARD: 'board-uuid',
+            REASON: 'reason', // "deleted" or "unknown board"
+            REQUEST_ID: 'requestId'
+        },
+        PAGES_TRANSFERRED: {
+            TYPE: 'pages-transferred',
+            BOARD: 'board-uuid', // the target board
+            PAGES: 'pages', // the uuids the pages have on the target board
+            REASON: 'reason', // set instead of PAGES if the transfer was declined
+            REQUEST_ID: 'requestId'
+        },
+        BOOKMARKS: {
+            TYPE: 'bookmarks',
+            PAGE: 'page-uuid',
+            BOOKMARKS: 'bookmarks', // array of BOOKMARK, in history order
+            REASON: 'reason', // set if a set-bookmark was declined
+            REQUEST_ID: 'requestId'
+        },
+        ATTRIBUTION: {
+            TYPE: 'attribution',
+            PAGE: 'page-uuid',
+            HASH: 'hash', // the state of the page the attribution is for
+            ELEMENTS: 'elements', // visible element uuid -> AUTHOR record, null if unknown
+            YOU: 'you', // the requester's AUTHOR.CLIENT, null if it has none
+            REASON: 'reason', // set instead of ELEMENTS if the request was declined
+            REQUEST_ID: 'requestId'
+        },
+        PARTICIPANTS: {
+            TYPE: 'participants',
+            BOARD: 'board-uuid',
+            PARTICIPANTS: 'participants', // array of PARTICIPANT, one per connection on the board
+            YOU: 'you' // the recipient's PARTICIPANT.ID
+        },
+        CURSOR: {
+            TYPE: 'cursor',
+            PARTICIPANT: 'participant', // PARTICIPANT.ID of the pointer's owner
+            PAGE: 'page-uuid',
+            X: 'x',
+            Y: 'y'
+        },
+        PRESENTATION: {
+            TYPE: 'presentation',
+            BOARD: 'board-uuid',
+            PRESENTER: 'presenter', // PARTICIPANT.ID, null if nobody presents
+            VIEW: 'view', // the presenter's latest VIEW, null if none yet
+            REASON: 'reason', // set if a present request was declined
+            REQUEST_ID: 'requestId'
+        },
+        LASER: {
+            TYPE: 'laser',
+            PARTICIPANT: 'participant', // PARTICIPANT.ID of the sender
+            PAGE: 'page-uuid',
+            STROKE: 'stroke-uuid',
+            POINTS: 'points'
+        },
+        STROKE_PROGRESS: {
+            TYPE: 'stroke-progress',
+            PARTICIPANT: 'participant', // PARTICIPANT.ID of the sender
+            PAGE: 'page-uuid',
+            ACTION: 'action-uuid',
+            STROKE: 'stroke', // only in the first piece
+            FROM: 'from',
+            POINTS: 'points'
+        },
+        TOKENS: {
+            TYPE: 'tokens',
+            BOARD: 'board-uuid',
+            TOKENS: 'tokens', // array of ACCESS_TOKEN, oldest first
+            PASSWORD: 'passwd', // the new token's password, only in the answer to create-token
+            REASON: 'reason', // set if the request was declined
+            REQUEST_ID: 'requestId'
+        },
+        PASSWORD_ROTATED: {
+            TYPE: 'password-rotated',
+            BOARD: 'board-uuid',
+            PASSWORD: 'passwd', // the new board password, only in the answer to rotate-password
+            REASON: 'reason', // set if the request was declined
+            REQUEST_ID: 'requestId' // absent when sent to clients whose password stopped working
         }
     }
 };
 
+// board metadata; only the fields with a length limit can be edited by clients
+const BOARD_META = {
+    TITLE: 'title',
+    DESCRIPTION: 'description',
+    CREATOR: 'creator',
+    CREATED: 'created', // ms since the epoch, set by the server
+    MODIFIED: 'modified', // ms since the epoch, set by the server
+    ARCHIVED: 'archived', // ms since the epoch, null unless the board is archived (read-only)
+    TEMPLATE: 'template', // boolean, offered as a starting point for new boards
+    MAX_LENGTH: {
+        title: 200,
+        description: 2000,
+        creator: 100
+    }
+};
+
+// named positions in a page history; they are kept next to the history and
+// never become part of it
+const BOOKMARK = {
+    LABEL: 'label',
+    HASH: 'hash', // hash of the history up to the bookmarked position
+    INDEX: 'index', // the bookmarked position, filled in by the server
+    CREATED: 'created', // ms since the epoch, set by the server
+    MAX_LABEL_LENGTH: 100
+};
+
+// who made an action, recorded by the server next to the history; never part
+// of the hash chain. Sent to clients in attribution messages, where CLIENT is
+// a pseudonym of the client id, since client ids decide whose edits an undo
+// takes back.
+const AUTHOR = {
+    CLIENT: 'client',
+    NAME: 'name', // display name given with the proposal, may be empty
+    TIME: 'time', // ms since the epoch at which the server accepted the action
+    REVERTS: 'reverts', // only for the groups of undo own / redo own: uuid of the action taken back
+    MAX_NAME_LENGTH: 100
+};
+
+// What a client may do on a board follows from the password it gives: the
+// board password makes an owner, the password of an access token the role
+// the token was issued for, anything else a viewer. Each role may do what the
+// roles before it in ROLE.ORDER may.
+const ROLE = {
+    VIEWER: 'viewer',
+    EDITOR: 'editor', // draws, erases, undoes, sets bookmarks, presents
+    OWNER: 'owner', // also manages pages, the board details and the access tokens
+    ORDER: ['viewer', 'editor', 'owner']
+};
+
+function hasRole(role, required) {
+    return ROLE.ORDER.indexOf(role) >= ROLE.ORDER.indexOf(required);
+}
+
+// further passwords for a board, issued by owners to someone with a role and
+// revoked one by one. Clients never learn a token's password after it was
+// issued.
+const ACCESS_TOKEN = {
+    ID: 'id',
+    LABEL: 'label',
+    ROLE: 'role',
+    CREATED: 'created', // ms since the epoch, set by the server
+    MAX_LABEL_LENGTH: 100,
+    MAX_TOKENS: 100 // per board
+};
+
+// who is on a board, as announced with presence messages. IDs are made up
+// per connection and say nothing about client ids.
+const PARTICIPANT = {
+    ID: 'id',
+    NAME: 'name', // empty until the client announces itself
+    COLOR: 'color', // null until the client announces itself
+    PAGE: 'page-uuid',
+    ROLE: 'role',
+    ROLES: ROLE, // the role the client announced itself with
+    COLOR_PATTERN: /^#[0-9a-fA-F]{6}$/
+};
+
+// what the presenter shows: the page, the visible area in page coordinates,
+// and the visible layers. Followers fit the area into their own window.
+const VIEW = {
+    PAGE: 'page-uuid',
+    X: 'x', // centre of the visible area
+    Y: 'y',
+    WIDTH: 'width',
+    HEIGHT: 'height',
+    LAYERS: 'layers' // array of layer numbers
+};
+
+// laser pointer strokes are relayed, never stored, and fade on every client
+const LASER = {
+    MAX_POINTS: 100, // per message
+    FADE: 2000 // ms until a point has faded out
+};
+
+// strokes in progress are relayed while the pen is down, never stored; the
+// draw action with the announced uuid replaces them
+const STROKE_PROGRESS = {
+    MAX_POINTS: 100, // per message
+    TIMEOUT: 10000 // ms without news after which receivers drop a stroke
+};
+
+// board archives (export-board / import-board). Version 1 archives hold
+// plain passwords, later ones only their hashes.
+const BOARD_ARCHIVE = {
+    FORMAT: 'kubux-whiteboard-board',
+    VERSION: 2,
+    OLDEST_VERSION: 1
+};
+
 const DRAWABLE = {
     TYPE: {
         STROKE: 'stroke',
@@ -434,6 +840,35 @@ const JOIN_STYLE_STRINGS = ["round", "bevel", "miter"];
 // Maximum nesting depth for GROUP actions to prevent stack overflow
 const MAX_GROUP_DEPTH = 10;
 
+// Bounds on the size of a single action, whatever quotas a server enforces
+const MAX_STROKE_POINTS = 100000;
+const MAX_GROUP_ACTIONS = 100000; // nested actions included
+
+// the number of actions in a group, nested ones included. Counting stops
+// once the count passes limit.
+function count_group_actions(group, limit = Infinity) {
+    let count = 0;
+    const pending = [group];
+    while (pending.length > 0 && count <= limit) {
+        const actions = pending.pop()[MOD_ACTIONS.GROUP.ACTIONS];
+        count += actions.length;
+        for (const action of actions) {
+            if (action && action[MOD_ACTIONS.TYPE] === MOD_ACTIONS.GROUP.TYPE
+                && Array.isArray(action[MOD_ACTIONS.GROUP.ACTIONS])) {
+                pending.push(action);
+            }
+        }
+    }
+    return count;
+}
+
+// strokes as drawn by draw actions and shown by checkpoints
+function is_invalid_stroke(stroke) {
+    if (!stroke || typeof stroke !== 'object') return true;
+    const points = stroke[ELEMENT.POINTS];
+    return !Array.isArray(points) || points.length > MAX_STROKE_POINTS;
+}
+
 // Helper for validating action payloads
 // depth is used internally to limit GROUP nesting
 function is_invalid_action_payload(action, depth = 0) {
@@ -447,8 +882,12 @@ function is_invalid_action_payload(action, depth = 0) {
         MOD_ACTIONS.GROUP.TYPE,
         MOD_ACTIONS.UNDO.TYPE,
         MOD_ACTIONS.REDO.TYPE,
+        MOD_ACTIONS.UNDO_OWN.TYPE,
+        MOD_ACTIONS.REDO_OWN.TYPE,
+        MOD_ACTIONS.RESTORE.TYPE,
         MOD_ACTIONS.NEW_PAGE.TYPE,
-        MOD_ACTIONS.DELETE_PAGE.TYPE
+        MOD_ACTIONS.DELETE_PAGE.TYPE,
+        MOD_ACTIONS.DUPLICATE_PAGE.TYPE
     ];
     
     if (!validTypes.includes(action[MOD_ACTIONS.TYPE])) return true;
@@ -456,7 +895,7 @@ function is_invalid_action_payload(action, depth = 0) {
     // Type-specific validation
     switch (action[MOD_ACTIONS.TYPE]) {
         case MOD_ACTIONS.DRAW.TYPE:
-            if (!action[MOD_ACTIONS.DRAW.STROKE] || typeof action[MOD_ACTIONS.DRAW.STROKE] !== 'object') return true;
+            if (is_invalid_stroke(action[MOD_ACTIONS.DRAW.STROKE])) return true;
             break;
         case MOD_ACTIONS.ERASE.TYPE:
             if (!action[MOD_ACTIONS.ERASE.TARGET_ACTION] || typeof action[MOD_ACTIONS.ERASE.TARGET_ACTION] !== 'string') return true;
@@ -465,6 +904,7 @@ function is_invalid_action_payload(action, depth = 0) {
             if (!Array.isArray(action[MOD_ACTIONS.GROUP.ACTIONS])) return true;
             // Prevent excessive nesting which could cause stack overflow
             if (depth >= MAX_GROUP_DEPTH) return true;
+            if (depth === 0 && count_group_actions(action, MAX_GROUP_ACTIONS) > MAX_GROUP_ACTIONS) return true;
             // Sub-actions must be edit ops only (DRAW, ERASE, GROUP) — these are
             // the only types commitEdit handles. UNDO/REDO/NEW_PAGE/DELETE_PAGE
             // are not valid inside a GROUP and would hit assert(false) in commitEdit.
@@ -484,6 +924,10 @@ function is_invalid_action_payload(action, depth = 0) {
         case MOD_ACTIONS.REDO.TYPE:
             if (!action[MOD_ACTIONS.REDO.TARGET_ACTION] || typeof action[MOD_ACTIONS.REDO.TARGET_ACTION] !== 'string') return true;
             break;
+        case MOD_ACTIONS.RESTORE.TYPE:
+            if (!Number.isInteger(action[MOD_ACTIONS.RESTORE.INDEX]) || action[MOD_ACTIONS.RESTORE.INDEX] < 0) return true;
+            if (!action[MOD_ACTIONS.RESTORE.HASH] || typeof action[MOD_ACTIONS.RESTORE.HASH] !== 'string') return true;
+            break;
     }
     
     return false;
@@ -549,6 +993,12 @@ function is_invalid_CREATE_BOARD_message(data) {
     const clientId = data[MESSAGES.CLIENT_TO_SERVER.CREATE_BOARD.CLIENT_ID];
     if (clientId !== undefined && typeof clientId !== 'string') return true;
     
+    const creator = data[MESSAGES.CLIENT_TO_SERVER.CREATE_BOARD.CREATOR];
+    if (creator !== undefined && is_invalid_board_meta({ [BOARD_META.CREATOR]: creator })) return true;
+    
+    const template = data[MESSAGES.CLIENT_TO_SERVER.CREATE_BOARD.TEMPLATE];
+    if (template !== undefined && !isUuid(template)) return true;
+    
     return false;
 }
 
@@ -589,6 +1039,9 @@ function is_invalid_MOD_ACTION_PROPOSALS_message(data) {
     const beforeHash = data[MESSAGES.CLIENT_TO_SERVER.MOD_ACTION_PROPOSALS.BEFORE_HASH];
     if (beforeHash !== undefined && typeof beforeHash !== 'string') return true;
     
+    const name = data[MESSAGES.CLIENT_TO_SERVER.MOD_ACTION_PROPOSALS.NAME];
+    if (name !== undefined && (typeof name !== 'string' || name.length > AUTHOR.MAX_NAME_LENGTH)) return true;
+    
     return false;
 }
 
@@ -655,6 +1108,406 @@ function is_invalid_SHUFFLE_PROPOSAL_message(data) {
     return false;
 }
 
+function is_invalid_EXPORT_BOARD_message(data) {
+    if (!data || typeof data !== 'object') return true;
+
+    const boardId = data[MESSAGES.CLIENT_TO_SERVER.EXPORT_BOARD.BOARD];
+    if (!boardId || !isUuid(boardId)) return true;
+
+    const password = data[MESSAGES.CLIENT_TO_SERVER.EXPORT_BOARD.PASSWORD];
+    if (!password || typeof password !== 'string') return true;
+
+    const requestId = data[MESSAGES.CLIENT_TO_SERVER.EXPORT_BOARD.REQUEST_ID];
+    if (!requestId || !isUuid(requestId)) return true;
+
+    return false;
+}
+
+// the archive itself is checked by the server before anything is stored
+function is_invalid_IMPORT_BOARD_message(data) {
+    if (!data || typeof data !== 'object') return true;
+
+    const credential = data[MESSAGES.CLIENT_TO_SERVER.IMPORT_BOARD.CREDENTIAL];
+    if (!credential || typeof credential !== 'string') return true;
+
+    const archive = data[MESSAGES.CLIENT_TO_SERVER.IMPORT_BOARD.ARCHIVE];
+    if (!archive || typeof archive !== 'object' || Array.isArray(archive)) return true;
+
+    const keepUuid = data[MESSAGES.CLIENT_TO_SERVER.IMPORT_BOARD.KEEP_UUID];
+    if (keepUuid !== undefined && typeof keepUuid !== 'boolean') return true;
+
+    const requestId = data[MESSAGES.CLIENT_TO_SERVER.IMPORT_BOARD.REQUEST_ID];
+    if (!requestId || !isUuid(requestId)) return true;
+
+    return false;
+}
+
+function is_invalid_LIST_BOARDS_message(data) {
+    if (!data || typeof data !== 'object') return true;
+
+    const credential = data[MESSAGES.CLIENT_TO_SERVER.LIST_BOARDS.CREDENTIAL];
+    if (!credential || typeof credential !== 'string') return true;
+
+    const requestId = data[MESSAGES.CLIENT_TO_SERVER.LIST_BOARDS.REQUEST_ID];
+    if (!requestId || !isUuid(requestId)) return true;
+
+    return false;
+}
+
+function is_invalid_LIST_TEMPLATES_message(data) {
+    if (!data || typeof data !== 'object') return true;
+
+    const credential = data[MESSAGES.CLIENT_TO_SERVER.LIST_TEMPLATES.CREDENTIAL];
+    if (!credential || typeof credential !== 'string') return true;
+
+    const requestId = data[MESSAGES.CLIENT_TO_SERVER.LIST_TEMPLATES.REQUEST_ID];
+    if (!requestId || !isUuid(requestId)) return true;
+
+    return false;
+}
+
+// editable metadata: an object with nothing but editable string fields and
+// the template flag
+function is_invalid_board_meta(meta) {
+    if (!meta || typeof meta !== 'object' || Array.isArray(meta)) return true;
+
+    for (const [key, value] of Object.entries(meta)) {
+        if (key === BOARD_META.TEMPLATE) {
+            if (typeof value !== 'boolean') return true;
+            continue;
+        }
+        const maxLength = BOARD_META.MAX_LENGTH[key];
+        if (maxLength === undefined) return true;
+        if (typeof value !== 'string' || value.length > maxLength) return true;
+    }
+
+    return false;
+}
+
+function is_invalid_UPDATE_BOARD_META_message(data) {
+    if (!data || typeof data !== 'object') return true;
+
+    const boardId = data[MESSAGES.CLIENT_TO_SERVER.UPDATE_BOARD_META.BOARD];
+    if (!boardId || !isUuid(boardId)) return true;
+
+    const password = data[MESSAGES.CLIENT_TO_SERVER.UPDATE_BOARD_META.PASSWORD];
+    if (!password || typeof password !== 'string') return true;
+
+    const meta = data[MESSAGES.CLIENT_TO_SERVER.UPDATE_BOARD_META.META];
+    if (is_invalid_board_meta(meta)) return true;
+
+    const requestId = data[MESSAGES.CLIENT_TO_SERVER.UPDATE_BOARD_META.REQUEST_ID];
+    if (!requestId || !isUuid(requestId)) return true;
+
+    return false;
+}
+
+function is_invalid_ARCHIVE_BOARD_message(data) {
+    if (!data || typeof data !== 'object') return true;
+
+    const boardId = data[MESSAGES.CLIENT_TO_SERVER.ARCHIVE_BOARD.BOARD];
+    if (!boardId || !isUuid(boardId)) return true;
+
+    const credential = data[MESSAGES.CLIENT_TO_SERVER.ARCHIVE_BOARD.CREDENTIAL];
+    if (!credential || typeof credential !== 'string') return true;
+
+    const archived = data[MESSAGES.CLIENT_TO_SERVER.ARCHIVE_BOARD.ARCHIVED];
+    if (typeof archived !== 'boolean') return true;
+
+    const requestId = data[MESSAGES.CLIENT_TO_SERVER.ARCHIVE_BOARD.REQUEST_ID];
+    if (!requestId || !isUuid(requestId)) return true;
+
+    return false;
+}
+
+function is_invalid_DELETE_BOARD_message(data) {
+    if (!data || typeof data !== 'object') return true;
+
+    const boardId = data[MESSAGES.CLIENT_TO_SERVER.DELETE_BOARD.BOARD];
+    if (!boardId || !isUuid(boardId)) return true;
+
+    const credential = data[MESSAGES.CLIENT_TO_SERVER.DELETE_BOARD.CREDENTIAL];
+    if (!credential || typeof credential !== 'string') return true;
+
+    const requestId = data[MESSAGES.CLIENT_TO_SERVER.DELETE_BOARD.REQUEST_ID];
+    if (!requestId || !isUuid(requestId)) return true;
+
+    return false;
+}
+
+function is_invalid_BOOKMARKS_REQUEST_message(data) {
+    if (!data || typeof data !== 'object') return true;
+
+    const boardId = data[MESSAGES.CLIENT_TO_SERVER.BOOKMARKS_REQUEST.BOARD];
+    if (!boardId || !isUuid(boardId)) return true;
+
+    const pageId = data[MESSAGES.CLIENT_TO_SERVER.BOOKMARKS_REQUEST.PAGE];
+    if (!pageId || !isUuid(pageId)) return true;
+
+    const requestId = data[MESSAGES.CLIENT_TO_SERVER.BOOKMARKS_REQUEST.REQUEST_ID];
+    if (!requestId || !isUuid(requestId)) return true;
+
+    return false;
+}
+
+function is_invalid_SET_BOOKMARK_message(data) {
+    if (!data || typeof data !== 'object') return true;
+
+    const boardId = data[MESSAGES.CLIENT_TO_SERVER.SET_BOOKMARK.BOARD];
+    if (!boardId || !isUuid(boardId)) return true;
+
+    const password = data[MESSAGES.CLIENT_TO_SERVER.SET_BOOKMARK.PASSWORD];
+    if (!password || typeof password !== 'string') return true;
+
+    const pageId = data[MESSAGES.CLIENT_TO_SERVER.SET_BOOKMARK.PAGE];
+    if (!pageId || !isUuid(pageId)) return true;
+
+    const hash = data[MESSAGES.CLIENT_TO_SERVER.SET_BOOKMARK.HASH];
+    if (!hash || typeof hash !== 'string') return true;
+
+    const label = data[MESSAGES.CLIENT_TO_SERVER.SET_BOOKMARK.LABEL];
+    if (typeof label !== 'string' || label.length > BOOKMARK.MAX_LABEL_LENGTH) return true;
+
+    const requestId = data[MESSAGES.CLIENT_TO_SERVER.SET_BOOKMARK.REQUEST_ID];
+    if (!requestId || !isUuid(requestId)) return true;
+
+    return false;
+}
+
+function is_invalid_ATTRIBUTION_REQUEST_message(data) {
+    if (!data || typeof data !== 'object') return true;
+
+    const boardId = data[MESSAGES.CLIENT_TO_SERVER.ATTRIBUTION_REQUEST.BOARD];
+    if (!boardId || !isUuid(boardId)) return true;
+
+    const pageId = data[MESSAGES.CLIENT_TO_SERVER.ATTRIBUTION_REQUEST.PAGE];
+    if (!pageId || !isUuid(pageId)) return true;
+
+    const requestId = data[MESSAGES.CLIENT_TO_SERVER.ATTRIBUTION_REQUEST.REQUEST_ID];
+    if (!requestId || !isUuid(requestId)) return true;
+
+    return false;
+}
+
+function is_invalid_TOKENS_REQUEST_message(data) {
+    if (!data || typeof data !== 'object') return true;
+
+    const boardId = data[MESSAGES.CLIENT_TO_SERVER.TOKENS_REQUEST.BOARD];
+    if (!boardId || !isUuid(boardId)) return true;
+
+    const password = data[MESSAGES.CLIENT_TO_SERVER.TOKENS_REQUEST.PASSWORD];
+    if (!password || typeof password !== 'string') return true;
+
+    const requestId = data[MESSAGES.CLIENT_TO_SERVER.TOKENS_REQUEST.REQUEST_ID];
+    if (!requestId || !isUuid(requestId)) return true;
+
+    return false;
+}
+
+function is_invalid_CREATE_TOKEN_message(data) {
+    if (!data || typeof data !== 'object') return true;
+
+    const boardId = data[MESSAGES.CLIENT_TO_SERVER.CREATE_TOKEN.BOARD];
+    if (!boardId || !isUuid(boardId)) return true;
+
+    const password = data[MESSAGES.CLIENT_TO_SERVER.CREATE_TOKEN.PASSWORD];
+    if (!password || typeof password !== 'string') return true;
+
+    const label = data[MESSAGES.CLIENT_TO_SERVER.CREATE_TOKEN.LABEL];
+    if (typeof label !== 'string' || label.length > ACCESS_TOKEN.MAX_LABEL_LENGTH) return true;
+
+    const role = data[MESSAGES.CLIENT_TO_SERVER.CREATE_TOKEN.ROLE];
+    if (!ROLE.ORDER.includes(role)) return true;
+
+    const requestId = data[MESSAGES.CLIENT_TO_SERVER.CREATE_TOKEN.REQUEST_ID];
+    if (!requestId || !isUuid(requestId)) return true;
+
+    return false;
+}
+
+function is_invalid_REVOKE_TOKEN_message(data) {
+    if (!data || typeof data !== 'object') return true;
+
+    const boardId = data[MESSAGES.CLIENT_TO_SERVER.REVOKE_TOKEN.BOARD];
+    if (!boardId || !isUuid(boardId)) return true;
+
+    const password = data[MESSAGES.CLIENT_TO_SERVER.REVOKE_TOKEN.PASSWORD];
+    if (!password || typeof password !== 'string') return true;
+
+    const tokenId = data[MESSAGES.CLIENT_TO_SERVER.REVOKE_TOKEN.TOKEN];
+    if (!tokenId || !isUuid(tokenId)) return true;
+
+    const requestId = data[MESSAGES.CLIENT_TO_SERVER.REVOKE_TOKEN.REQUEST_ID];
+    if (!requestId || !isUuid(requestId)) return true;
+
+    return false;
+}
+
+function is_invalid_ROTATE_PASSWORD_message(data) {
+    if (!data || typeof data !== 'object') return true;
+
+    const boardId = data[MESSAGES.CLIENT_TO_SERVER.ROTATE_PASSWORD.BOARD];
+    if (!boardId || !isUuid(boardId)) return true;
+
+    const password = data[MESSAGES.CLIENT_TO_SERVER.ROTATE_PASSWORD.PASSWORD];
+    if (!password || typeof password !== 'string') return true;
+
+    const requestId = data[MESSAGES.CLIENT_TO_SERVER.ROTATE_PASSWORD.REQUEST_ID];
+    if (!requestId || !isUuid(requestId)) return true;
+
+    return false;
+}
+
+function is_invalid_PRESENCE_message(data) {
+    if (!data || typeof data !== 'object') return true;
+
+    const boardId = data[MESSAGES.CLIENT_TO_SERVER.PRESENCE.BOARD];
+    if (!boardId || !isUuid(boardId)) return true;
+
+    const password = data[MESSAGES.CLIENT_TO_SERVER.PRESENCE.PASSWORD];
+    if (password !== undefined && password !== null && typeof password !== 'string') return true;
+
+    const name = data[MESSAGES.CLIENT_TO_SERVER.PRESENCE.NAME];
+    if (typeof name !== 'string' || name.length > AUTHOR.MAX_NAME_LENGTH) return true;
+
+    const color = data[MESSAGES.CLIENT_TO_SERVER.PRESENCE.COLOR];
+    if (typeof color !== 'string' || !PARTICIPANT.COLOR_PATTERN.test(color)) return true;
+
+    return false;
+}
+
+function is_invalid_CURSOR_message(data) {
+    if (!data || typeof data !== 'object') return true;
+
+    const pageId = data[MESSAGES.CLIENT_TO_SERVER.CURSOR.PAGE];
+    if (!pageId || !isUuid(pageId)) return true;
+
+    const x = data[MESSAGES.CLIENT_TO_SERVER.CURSOR.X];
+    const y = data[MESSAGES.CLIENT_TO_SERVER.CURSOR.Y];
+    if (x === null && y === null) return false;
+    if (!Number.isFinite(x) || !Number.isFinite(y)) return true;
+
+    return false;
+}
+
+function is_invalid_PRESENT_message(data) {
+    if (!data || typeof data !== 'object') return true;
+
+    const boardId = data[MESSAGES.CLIENT_TO_SERVER.PRESENT.BOARD];
+    if (!boardId || !isUuid(boardId)) return true;
+
+    const password = data[MESSAGES.CLIENT_TO_SERVER.PRESENT.PASSWORD];
+    if (password !== undefined && password !== null && typeof password !== 'string') return true;
+
+    if (typeof data[MESSAGES.CLIENT_TO_SERVER.PRESENT.ACTIVE] !== 'boolean') return true;
+
+    const requestId = data[MESSAGES.CLIENT_TO_SERVER.PRESENT.REQUEST_ID];
+    if (!requestId || !isUuid(requestId)) return true;
+
+    return false;
+}
+
+function is_invalid_VIEW_message(data) {
+    if (!data || typeof data !== 'object') return true;
+
+    const boardId = data[MESSAGES.CLIENT_TO_SERVER.VIEW.BOARD];
+    if (!boardId || !isUuid(boardId)) return true;
+
+    const view = data[MESSAGES.CLIENT_TO_SERVER.VIEW.VIEW];
+    if (!view || typeof view !== 'object') return true;
+
+    const pageId = view[VIEW.PAGE];
+    if (!pageId || !isUuid(pageId)) return true;
+
+    if (!Number.isFinite(view[VIEW.X]) || !Number.isFinite(view[VIEW.Y])) return true;
+    if (!(view[VIEW.WIDTH] > 0) || !(view[VIEW.HEIGHT] > 0)) return true;
+    if (!Number.isFinite(view[VIEW.WIDTH]) || !Number.isFinite(view[VIEW.HEIGHT])) return true;
+
+    const layers = view[VIEW.LAYERS];
+    if (!Array.isArray(layers) || layers.length > 8) return true;
+    if (!layers.every(layer => Number.isInteger(layer) && layer >= 0 && layer < 8)) return true;
+
+    return false;
+}
+
+function is_invalid_LASER_message(data) {
+    if (!data || typeof data !== 'object') return true;
+
+    const pageId = data[MESSAGES.CLIENT_TO_SERVER.LASER.PAGE];
+    if (!pageId || !isUuid(pageId)) return true;
+
+    const strokeId = data[MESSAGES.CLIENT_TO_SERVER.LASER.STROKE];
+    if (!strokeId || !isUuid(strokeId)) return true;
+
+    const points = data[MESSAGES.CLIENT_TO_SERVER.LASER.POINTS];
+    if (!Array.isArray(points) || points.length === 0 || points.length > LASER.MAX_POINTS) return true;
+    if (!points.every(point => Array.isArray(point) && point.length === 2
+                       && Number.isFinite(point[0]) && Number.isFinite(point[1]))) return true;
+
+    return false;
+}
+
+function is_invalid_STROKE_PROGRESS_message(data) {
+    if (!data || typeof data !== 'object') return true;
+
+    const pageId = data[MESSAGES.CLIENT_TO_SERVER.STROKE_PROGRESS.PAGE];
+    if (!pageId || !isUuid(pageId)) return true;
+
+    const actionId = data[MESSAGES.CLIENT_TO_SERVER.STROKE_PROGRESS.ACTION];
+    if (!actionId || !isUuid(actionId)) return true;
+
+    const from = data[MESSAGES.CLIENT_TO_SERVER.STROKE_PROGRESS.FROM];
+    if (!Number.isInteger(from) || from < 0) return true;
+
+    // the first piece carries the stroke's style, later ones must not
+    const stroke = data[MESSAGES.CLIENT_TO_SERVER.STROKE_PROGRESS.STROKE];
+    if (from === 0) {
+        if (!Array.isArray(stroke) || !Object.values(DRAWABLE.TYPE).includes(stroke[ELEMENT.TYPE])) return true;
+        if (!Array.isArray(stroke[ELEMENT.POINTS]) || stroke[ELEMENT.POINTS].length !== 0) return true;
+    } else if (stroke !== undefined) {
+        return true;
+    }
+
+    const points = data[MESSAGES.CLIENT_TO_SERVER.STROKE_PROGRESS.POINTS];
+    if (!Array.isArray(points) || points.length === 0 || points.length > STROKE_PROGRESS.MAX_POINTS) return true;
+    if (!points.every(point => Array.isArray(point) && point.length >= 2 && point.length <= 4
+                       && point.every(Number.isFinite))) return true;
+
+    return false;
+}
+
+function is_invalid_TRANSFER_PAGES_message(data) {
+    if (!data || typeof data !== 'object') return true;
+
+    const boardId = data[MESSAGES.CLIENT_TO_SERVER.TRANSFER_PAGES.BOARD];
+    if (!boardId || !isUuid(boardId)) return true;
+
+    const password = data[MESSAGES.CLIENT_TO_SERVER.TRANSFER_PAGES.PASSWORD];
+    if (!password || typeof password !== 'string') return true;
+
+    const pages = data[MESSAGES.CLIENT_TO_SERVER.TRANSFER_PAGES.PAGES];
+    if (!Array.isArray(pages) || pages.length < 1) return true;
+    if (!pages.every(id => isUuid(id))) return true;
+    if (new Set(pages).size !== pages.length) return true;
+
+    const targetId = data[MESSAGES.CLIENT_TO_SERVER.TRANSFER_PAGES.TARGET_BOARD];
+    if (!targetId || !isUuid(targetId)) return true;
+
+    const targetPassword = data[MESSAGES.CLIENT_TO_SERVER.TRANSFER_PAGES.TARGET_PASSWORD];
+    if (!targetPassword || typeof targetPassword !== 'string') return true;
+
+    const position = data[MESSAGES.CLIENT_TO_SERVER.TRANSFER_PAGES.POSITION];
+    if (position !== undefined && !(Number.isInteger(position) && position >= 0)) return true;
+
+    const move = data[MESSAGES.CLIENT_TO_SERVER.TRANSFER_PAGES.MOVE];
+    if (typeof move !== 'boolean') return true;
+
+    const requestId = data[MESSAGES.CLIENT_TO_SERVER.TRANSFER_PAGES.REQUEST_ID];
+    if (!requestId || !isUuid(requestId)) return true;
+
+    return false;
+}
+
 
 // Affine transformations
 // ======================
@@ -882,6 +1735,8 @@ function commitEdit( visualState, action ) {
         return commitErase( visualState, action[MOD_ACTIONS.ERASE.TARGET_ACTION], uuid );
     case MOD_ACTIONS.GROUP.TYPE:
         return commitGroup( visualState, action[MOD_ACTIONS.GROUP.ACTIONS], uuid );
+    case MOD_ACTIONS.CHECKPOINT.TYPE:
+        return commitCheckpoint( visualState, action[MOD_ACTIONS.CHECKPOINT.ELEMENTS] );
     }
     assert( false );
 }
@@ -908,6 +1763,15 @@ function commitGroup ( visualState, actions, uuid = "" ) {
     return true;
 }
 
+function commitCheckpoint ( visualState, elements ) {
+    let flag = true;
+    for ( const [ uuid, element ] of elements ) {
+        addElement( visualState, uuid, element );
+        flag = showElement( visualState, uuid ) && flag;
+    }
+    return flag;
+}
+
 function revertEdit ( visualState, action ) {
     const type = action[MOD_ACTIONS.TYPE];
     const uuid = action[MOD_ACTIONS.UUID];
@@ -918,6 +1782,8 @@ function revertEdit ( visualState, action ) {
         return revertErase( visualState, action[MOD_ACTIONS.ERASE.TARGET_ACTION], uuid );
     case MOD_ACTIONS.GROUP.TYPE:
         return revertGroup( visualState, action[MOD_ACTIONS.GROUP.ACTIONS], uuid );
+    case MOD_ACTIONS.CHECKPOINT.TYPE:
+        return false;
     }
 }
 
@@ -1538,12 +2404,26 @@ if (typeof module !== 'undefined' && module.exports) {
         // hashing
         hashAny,
         hashNext,
+        hashAction,
+        hashChain,
         // value comparison
         isEqual,
         isNotEqual,
+        // access
+        hasRole,
         // schemas and constants
         MOD_ACTIONS,
         MESSAGES,
+        BOARD_META,
+        BOARD_ARCHIVE,
+        BOOKMARK,
+        AUTHOR,
+        ROLE,
+        ACCESS_TOKEN,
+        PARTICIPANT,
+        VIEW,
+        LASER,
+        STROKE_PROGRESS,
         DRAWABLE,
         POINT,
         ELEMENT,
@@ -1557,6 +2437,9 @@ if (typeof module !== 'undefined' && module.exports) {
         STROKE_STYLES,
         VISUAL_STATE,
         // validation
+        count_group_actions,
+        is_invalid_stroke,
+        is_invalid_action_payload,
         is_invalid_REGISTER_BOARD_message,
         is_invalid_REGISTER_PAGE_message,
         is_invalid_PAGE_INFO_REQUEST_message,
@@ -1566,6 +2449,28 @@ if (typeof module !== 'undefined' && module.exports) {
         is_invalid_MOD_ACTION_PROPOSALS_message,
         is_invalid_BOARD_INFO_REQUEST_message,
         is_invalid_SHUFFLE_PROPOSAL_message,
+        is_invalid_EXPORT_BOARD_message,
+        is_invalid_IMPORT_BOARD_message,
+        is_invalid_board_meta,
+        is_invalid_UPDATE_BOARD_META_message,
+        is_invalid_LIST_BOARDS_message,
+        is_invalid_LIST_TEMPLATES_message,
+        is_invalid_ARCHIVE_BOARD_message,
+        is_invalid_DELETE_BOARD_message,
+        is_invalid_TRANSFER_PAGES_message,
+        is_invalid_BOOKMARKS_REQUEST_message,
+        is_invalid_SET_BOOKMARK_message,
+        is_invalid_ATTRIBUTION_REQUEST_message,
+        is_invalid_TOKENS_REQUEST_message,
+        is_invalid_CREATE_TOKEN_message,
+        is_invalid_REVOKE_TOKEN_message,
+        is_invalid_ROTATE_PASSWORD_message,
+        is_invalid_PRESENCE_message,
+        is_invalid_CURSOR_message,
+        is_invalid_PRESENT_message,
+        is_invalid_VIEW_message,
+        is_invalid_LASER_message,
+        is_invalid_STROKE_PROGRESS_message,
         // transforms
         createIdentityTransform,
         applyTransform,
@@ -1588,6 +2493,7 @@ if (typeof module !== 'undefined' && module.exports) {
         commitDraw,
         commitErase,
         commitGroup,
+        commitCheckpoint,
         revertEdit,
         revertDraw,
         revertErase,
@@ -1618,12 +2524,26 @@ else if (typeof window !== 'undefined') {
         // hashing
         hashAny,
         hashNext,
+        hashAction,
+        hashChain,
         // value comparison
         isEqual,
         isNotEqual,
+        // access
+        hasRole,
         // schemas and constants
         MOD_ACTIONS,
         MESSAGES,
+        BOARD_META,
+        BOARD_ARCHIVE,
+        BOOKMARK,
+        AUTHOR,
+        ROLE,
+        ACCESS_TOKEN,
+        PARTICIPANT,
+        VIEW,
+        LASER,
+        STROKE_PROGRESS,
         DRAWABLE,
         POINT,
         ELEMENT,
@@ -1659,6 +2579,7 @@ else if (typeof window !== 'undefined') {
         commitDraw,
         commitErase,
         commitGroup,
+        commitCheckpoint,
         revertEdit,
         revertDraw,
         revertErase,
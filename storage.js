@@ -0,0 +1,422 @@
+const fs = require('fs');
+const path = require('path');
+
+const {
+    serialize,
+    deserialize
+} = require('./shared');
+
+
+// Persistent storage backends
+// ===========================
+//
+// The server never touches the disk for boards, pages, or the deletion map
+// directly. It talks to one of the backends below, all of which implement
+// the same interface:
+//
+//   loadItem(kind, id)        -> item or null     (kind: 'board' | 'page' | 'removed')
+//   saveItem(kind, id, item)
+//   listItems(kind)           -> [{ id, modified, size }, ...]  (modified in ms)
+//   removeItem(kind, id)      -> removes the item and, for pages, its journal
+//   loadDeletionMap()         -> { deletedPageId: replacementPageId, ... }
+//   loadDeletionTimes()       -> { deletedPageId: time of deletion in ms, ... }
+//   saveDeletionMap(map, times)
+//   appendJournal(id, record) -> appends one record to the page's journal
+//   loadJournal(id)           -> [record, ...] in append order
+//   clearJournal(id)
+//   transaction(fn)           -> runs fn; atomic where the backend supports it
+//   close()
+//
+// Item ids are validated by the caller (server.js) before they get here.
+//
+// Pages are stored as a checkpoint (saveItem) plus an append-only journal of
+// the actions accepted since. Journal records carry a sequence number, so
+// records already contained in a checkpoint can be recognized on replay. Page
+// checkpoints, journal records, and removed boards (board archives awaiting
+// their purge) are serialized compactly; boards keep the indented format
+// since they are small and occasionally read by humans.
+
+const indentFor = (kind) => (kind === 'board') ? 2 : 0;
+
+
+// flat files: one file per board / page in DATA_DIR
+// -------------------------------------------------
+//
+// Every write goes to `<file>.tmp`, is fsync'ed, and then renamed over the
+// live file. The previous generation is kept as `<file>.bak`. A crash can
+// therefore never leave a truncated live file behind, and should the live
+// file be unreadable anyway, loading falls back to the backup.
+
+function FileStorage(dataDir, log) {
+    const getFilePath = (id, ext) => path.join(dataDir, `${id}.${ext}`);
+    const getRemovalLogPath = () => path.join(dataDir, 'to_be_removed.json');
+    const getRemovalTimesPath = () => path.join(dataDir, 'removal_times.json');
+    const getBackupPath = (filePath) => `${filePath}.bak`;
+    const getJournalPath = (id) => getFilePath(id, 'journal');
+
+    function syncDataDir() {
+        // makes the renames durable; not supported on every platform
+        try {
+            const fd = fs.openSync(dataDir, 'r');
+            try { fs.fsyncSync(fd); } finally { fs.closeSync(fd); }
+        } catch (e) {}
+    }
+
+    function writeFileAtomic(filePath, text) {
+        const tmpPath = `${filePath}.tmp`;
+        const fd = fs.openSync(tmpPath, 'w');
+        try {
+            fs.writeSync(fd, text, null, 'utf8');
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        if (fs.existsSync(filePath)) {
+            fs.renameSync(filePath, getBackupPath(filePath));
+        }
+        fs.renameSync(tmpPath, filePath);
+        syncDataDir();
+    }
+
+    // returns undefined if the file does not exist, null if it is unreadable
+    function readFile(filePath, parse) {
+        let fileText;
+        try {
+            fileText = fs.readFileSync(filePath, 'utf8');
+        } catch (e) {
+            return (e.code === 'ENOENT') ? undefined : null;
+        }
+        try {
+            return parse(fileText) || null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // reads the live file, falling back to the backup generation
+    function readWithRecovery(filePath, parse, what) {
+        const item = readFile(filePath, parse);
+        if (item) { return item; }
+        const backup = readFile(getBackupPath(filePath), parse);
+        if (item === undefined && backup === undefined) {
+            return undefined;
+        }
+        let corruptPath = null;
+        if (item === null) {
+            // keep the damaged file out of the way of the next save, which
+            // would otherwise turn it into the backup
+            corruptPath = `${filePath}.corrupt-${Date.now()}`;
+            fs.renameSync(filePath, corruptPath);
+        }
+        if (backup) {
+            // the live file is missing if we crashed between the two renames
+            log.error(`[STORAGE] Recovered ${what} from backup ${getBackupPath(filePath)}`
+                      + (corruptPath ? `, unreadable file moved aside to ${corruptPath}` : ''));
+            return backup;
+        }
+        if (corruptPath) {
+            log.error(`[STORAGE] Could not recover ${what}: file and backup unreadable, moved aside to ${corruptPath}`);
+        }
+        return null;
+    }
+
+    function loadItem(kind, id) {
+        const item = readWithRecovery(getFilePath(id, kind), deserialize, `${kind} ${id}`);
+        if (item) { return item; }
+        log.log(`[STORAGE] Error loading ${kind} from disk: ${id}`);
+        return null;
+    }
+
+    function saveItem(kind, id, item) {
+        writeFileAtomic(getFilePath(id, kind), serialize(item, indentFor(kind)));
+    }
+
+    function listItems(kind) {
+        const suffix = `.${kind}`;
+        const items = [];
+        for (const name of fs.readdirSync(dataDir)) {
+            if (!name.endsWith(suffix)) { continue; }
+            try {
+                const stats = fs.statSync(path.join(dataDir, name));
+                items.push({ id: name.slice(0, -suffix.length), modified: stats.mtimeMs, size: stats.size });
+            } catch (e) {}
+        }
+        return items;
+    }
+
+    function removeItem(kind, id) {
+        const filePath = getFilePath(id, kind);
+        for (const victim of [filePath, getBackupPath(filePath), `${filePath}.tmp`]) {
+            fs.rmSync(victim, { force: true });
+        }
+        if (kind === 'page') {
+            clearJournal(id);
+        }
+    }
+
+    function loadDeletionMap() {
+        return readWithRecovery(getRemovalLogPath(), JSON.parse, 'deletion map') || {};
+    }
+
+    // kept apart from the map so that to_be_removed.json keeps its format
+    function loadDeletionTimes() {
+        return readWithRecovery(getRemovalTimesPath(), JSON.parse, 'deletion times') || {};
+    }
+
+    function saveDeletionMap(map, times) {
+        writeFileAtomic(getRemovalLogPath(), JSON.stringify(map, null, 2));
+        writeFileAtomic(getRemovalTimesPath(), JSON.stringify(times, null, 2));
+    }
+
+    // one record per line; the journal is never rewritten, only appended to
+    function appendJournal(id, record) {
+        fs.appendFileSync(getJournalPath(id), serialize(record, 0) + '\n', 'utf8');
+    }
+
+    function loadJournal(id) {
+        const journalPath = getJournalPath(id);
+        let text;
+        try {
+            text = fs.readFileSync(journalPath, 'utf8');
+        } catch (e) {
+            if (e.code === 'ENOENT') { return []; }
+            throw e;
+        }
+        const records = [];
+        let offset = 0;
+        while (offset < text.length) {
+            const end = text.indexOf('\n', offset);
+            let record = null;
+            if (end >= 0) {
+                try { record = deserialize(text.slice(offset, end)); } catch (e) {}
+            }
+            if (!record) {
+                // a torn final write; cut it off so later appends start on a clean line
+                const goodBytes = Buffer.byteLength(text.slice(0, offset));
+                log.error(`[STORAGE] Dropping unreadable journal tail of page ${id} at byte ${goodBytes}`);
+                fs.truncateSync(journalPath, goodBytes);
+                break;
+            }
+            records.push(record);
+            offset = end + 1;
+        }
+        return records;
+    }
+
+    function clearJournal(id) {
+        fs.rmSync(getJournalPath(id), { force: true });
+    }
+
+    // flat files offer no atomicity across several writes
+    function transaction(fn) {
+        return fn();
+    }
+
+    function close() {}
+
+    return {
+        name: 'files',
+        loadItem,
+        saveItem,
+        listItems,
+        removeItem,
+        loadDeletionMap,
+        loadDeletionTimes,
+        saveDeletionMap,
+        appendJournal,
+        loadJournal,
+        clearJournal,
+        transaction,
+        close
+    };
+}
+
+
+// embedded SQLite database: DATA_DIR/whiteboard.sqlite
+// ----------------------------------------------------
+
+function SqliteStorage(dataDir, log) {
+    let DatabaseSync;
+    try {
+        ({ DatabaseSync } = require('node:sqlite'));
+    } catch (e) {
+        throw new Error('The sqlite storage backend requires Node.js 22.5 or later (node:sqlite).');
+    }
+
+    const dbPath = path.join(dataDir, 'whiteboard.sqlite');
+    const db = new DatabaseSync(dbPath);
+    db.exec(`
+        PRAGMA journal_mode = WAL;
+        PRAGMA synchronous = NORMAL;
+        CREATE TABLE IF NOT EXISTS items (
+            kind     TEXT NOT NULL,
+            id       TEXT NOT NULL,
+            data     TEXT NOT NULL,
+            modified INTEGER,
+            PRIMARY KEY (kind, id)
+        );
+        CREATE TABLE IF NOT EXISTS deletions (
+            page_id        TEXT PRIMARY KEY,
+            replacement_id TEXT NOT NULL,
+            deleted_at     INTEGER
+        );
+        CREATE TABLE IF NOT EXISTS journal (
+            page_id TEXT NOT NULL,
+            seq     INTEGER NOT NULL,
+            data    TEXT NOT NULL,
+            PRIMARY KEY (page_id, seq)
+        );
+    `);
+    // databases created before items and deletions carried timestamps
+    if (!db.prepare('PRAGMA table_info(items)').all().some(column => column.name === 'modified')) {
+        db.exec('ALTER TABLE items ADD COLUMN modified INTEGER');
+        db.prepare('UPDATE items SET modified = ?').run(Date.now());
+    }
+    if (!db.prepare('PRAGMA table_info(deletions)').all().some(column => column.name === 'deleted_at')) {
+        db.exec('ALTER TABLE deletions ADD COLUMN deleted_at INTEGER');
+    }
+    log.log(`[STORAGE] Opened SQLite database ${dbPath}`);
+
+    const selectItem = db.prepare('SELECT data FROM items WHERE kind = ? AND id = ?');
+    const upsertItem = db.prepare(
+        'INSERT INTO items (kind, id, data, modified) VALUES (?, ?, ?, ?) ' +
+        'ON CONFLICT (kind, id) DO UPDATE SET data = excluded.data, modified = excluded.modified'
+    );
+    const selectItems = db.prepare('SELECT id, modified, length(data) AS size FROM items WHERE kind = ?');
+    const deleteItem = db.prepare('DELETE FROM items WHERE kind = ? AND id = ?');
+    const selectDeletions = db.prepare('SELECT page_id, replacement_id, deleted_at FROM deletions');
+    const clearDeletions = db.prepare('DELETE FROM deletions');
+    const insertDeletion = db.prepare('INSERT INTO deletions (page_id, replacement_id, deleted_at) VALUES (?, ?, ?)');
+    const insertJournal = db.prepare('INSERT OR REPLACE INTO journal (page_id, seq, data) VALUES (?, ?, ?)');
+    const selectJournal = db.prepare('SELECT data FROM journal WHERE page_id = ? ORDER BY seq');
+    const deleteJournal = db.prepare('DELETE FROM journal WHERE page_id = ?');
+
+    function loadItem(kind, id) {
+        const row = selectItem.get(kind, id);
+        if (row) {
+            try {
+                const item = deserialize(row.data);
+                if (item) { return item; }
+            } catch (e) {
+                log.error(`[STORAGE] Unreadable ${kind} ${id} in database: ${e.message}`);
+            }
+        }
+        log.log(`[STORAGE] Error loading ${kind} from database: ${id}`);
+        return null;
+    }
+
+    function saveItem(kind, id, item) {
+        upsertItem.run(kind, id, serialize(item, indentFor(kind)), Date.now());
+    }
+
+    function listItems(kind) {
+        return selectItems.all(kind).map(row => ({ id: row.id, modified: row.modified, size: row.size }));
+    }
+
+    function removeItem(kind, id) {
+        transaction(() => {
+            deleteItem.run(kind, id);
+            if (kind === 'page') {
+                clearJournal(id);
+            }
+        });
+    }
+
+    function loadDeletionMap() {
+        const map = {};
+        for (const row of selectDeletions.all()) {
+            map[row.page_id] = row.replacement_id;
+        }
+        return map;
+    }
+
+    function loadDeletionTimes() {
+        const times = {};
+        for (const row of selectDeletions.all()) {
+            if (row.deleted_at !== null) {
+                times[row.page_id] = row.deleted_at;
+            }
+        }
+        return times;
+    }
+
+    function saveDeletionMap(map, times) {
+        transaction(() => {
+            clearDeletions.run();
+            for (const [pageId, replacementId] of Object.entries(map)) {
+                insertDeletion.run(pageId, replacementId, times[pageId] ?? null);
+            }
+        });
+    }
+
+    function appendJournal(id, record) {
+        insertJournal.run(id, record.seq, serialize(record, 0));
+    }
+
+    function loadJournal(id) {
+        return selectJournal.all(id).map(row => deserialize(row.data));
+    }
+
+    function clearJournal(id) {
+        deleteJournal.run(id);
+    }
+
+    // nested calls join the outermost transaction
+    let depth = 0;
+    function transaction(fn) {
+        if (depth > 0) {
+            return fn();
+        }
+        db.exec('BEGIN IMMEDIATE');
+        depth += 1;
+        try {
+            const result = fn();
+            db.exec('COMMIT');
+            return result;
+        } catch (e) {
+            db.exec('ROLLBACK');
+            throw e;
+        } finally {
+            depth -= 1;
+        }
+    }
+
+    function close() {
+        db.close();
+    }
+
+    return {
+        name: 'sqlite',
+        loadItem,
+        saveItem,
+        listItems,
+        removeItem,
+        loadDeletionMap,
+        loadDeletionTimes,
+        saveDeletionMap,
+        appendJournal,
+        loadJournal,
+        clearJournal,
+        transaction,
+        close
+    };
+}
+
+
+const STORAGE_BACKENDS = {
+    files: FileStorage,
+    sqlite: SqliteStorage
+};
+
+function createStorage(backend, dataDir, log) {
+    const factory = STORAGE_BACKENDS[backend];
+    if (!factory) {
+        throw new Error(`Unknown storage backend '${backend}' (known: ${Object.keys(STORAGE_BACKENDS).join(', ')})`);
+    }
+    return factory(dataDir, log);
+}
+
+module.exports = {
+    STORAGE_BACKENDS,
+    createStorage
+};